@@ -1,20 +1,17 @@
 'use strict';
 
-const fs = require('fs');
-const os = require('os');
 const path = require('path');
 const installer = require('../src/installer');
+const store = require('../src/store');
 
 const skip = process.env.FUZZRUN_SKIP_ENABLE === '1';
 
 function getStatePath() {
-  return path.join(os.homedir(), '.fuzzrun', 'state.json');
+  return path.join(store.getDataDir(), 'state.json');
 }
 
 function writeState(next) {
-  const filePath = getStatePath();
-  fs.mkdirSync(path.dirname(filePath), { recursive: true });
-  fs.writeFileSync(filePath, JSON.stringify(next, null, 2), 'utf8');
+  store.writeJson(getStatePath(), next);
 }
 
 if (skip) {
@@ -3,15 +3,28 @@
 // Runs the command once; if it fails, tries a high-confidence fix (edit distance 1 or CLI suggestion)
 // and re-runs automatically.
 
-const { spawnSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const installer = require('./installer');
-
-const MAX_DISTANCE = Number.isFinite(Number(process.env.FUZZRUN_MAX_DISTANCE))
-  ? Math.max(1, Number(process.env.FUZZRUN_MAX_DISTANCE))
-  : 1;
+const config = require('./config');
+const discovery = require('./discovery');
+const rules = require('./rules');
+const store = require('./store');
+const history = require('./history');
+const overrides = require('./overrides');
+const keyboard = require('./keyboard');
+const pathIndex = require('./pathindex');
+const tasks = require('./tasks');
+const kube = require('./kube');
+const docker = require('./docker');
+const packages = require('./packages');
+const workspaces = require('./workspaces');
+const policy = require('./policy');
+const messages = require('./messages');
+const line = require('./line');
+const lastcommand = require('./lastcommand');
 
 const DEFAULT_PRIORITY_BASES = [
   'git',
@@ -33,24 +46,20 @@ const DEFAULT_PRIORITY_BASES = [
   'mvn',
   'gradle'
 ];
-const ENV_PRIORITY_BASES = (process.env.FUZZRUN_PREFER_BASES || '')
-  .split(',')
-  .map((value) => normalizeToken(value).trim())
-  .filter(Boolean);
-const PRIORITY_BASES = new Set([...DEFAULT_PRIORITY_BASES, ...ENV_PRIORITY_BASES]);
-
-const DANGEROUS_BASE = new Set(['rm', 'mv', 'dd', 'shutdown', 'reboot', 'halt', 'poweroff']);
 
+// Fallback lists; the real ones are harvested from each CLI's help (see discovery.js).
 const COMMON_SUBCOMMANDS = {
   git: [
     'add',
     'bisect',
     'branch',
     'checkout',
+    'cherry-pick',
     'clone',
     'commit',
     'diff',
     'fetch',
+    'grep',
     'init',
     'log',
     'merge',
@@ -58,13 +67,15 @@ const COMMON_SUBCOMMANDS = {
     'pull',
     'push',
     'rebase',
+    'restore',
     'revert',
     'rm',
     'show',
     'stash',
     'status',
     'switch',
-    'tag'
+    'tag',
+    'worktree'
   ],
   npm: [
     'install',
@@ -88,7 +99,10 @@ const COMMON_SUBCOMMANDS = {
     'exec',
     'root',
     'pack',
-    'uninstall'
+    'uninstall',
+    'audit',
+    'view',
+    'version'
   ],
   yarn: [
     'add',
@@ -168,74 +182,197 @@ const COMMON_SUBCOMMANDS = {
     'scale',
     'rollout',
     'set',
-    'explain',
     'label',
     'annotate',
     'cordon',
     'drain',
-    'uncordon'
+    'uncordon',
+    'auth',
+    'config',
+    'debug'
   ],
   gh: ['auth', 'repo', 'issue', 'pr', 'gist', 'alias', 'api', 'search', 'run', 'workflow', 'status', 'label']
 };
 
+// Built-in aliases, which help output does not list: `npm i` must never read as a typo of `ci`.
+const SUBCOMMAND_ALIASES = {
+  npm: [
+    'add', 'i', 'in', 'ins', 'inst', 'insta', 'instal', 'isnt', 'isnta', 'isntal', 'isntall',
+    'clean-install', 'ic', 'install-clean', 'isntall-clean', 'it', 'cit', 'install-ci-test', 'sit',
+    'unlink', 'remove', 'rm', 'r', 'un', 'up', 'upgrade', 'udpate', 'tst', 't', 'run-script', 'rum', 'urn',
+    'c', 'info', 'show', 'v', 'find', 's', 'se', 'x', 'ls', 'la', 'll', 'ln', 'rb', 'dist-tags', 'author',
+    'hlep', 'verison'
+  ],
+  pnpm: ['i', 'rm', 'un', 'uninstall', 'up', 'upgrade', 'ls', 'll', 'la', 'ln', 'link', 't', 'test', 'it', 'dlx', 'why'],
+  yarn: ['why', 'upgrade-interactive', 'workspace', 'workspaces']
+};
+// Without an error to go by, a word this short is too likely a valid alias or abbreviation to rewrite.
+const MIN_UNCHECKED_SUBCOMMAND_LENGTH = 3;
+
+// Fallback long options, merged with whatever `--help` lists. Keyed by base and subcommand path.
+const COMMON_OPTIONS = {
+  'git commit': ['--all', '--amend', '--allow-empty', '--fixup', '--message', '--no-edit', '--no-verify', '--patch', '--quiet', '--signoff', '--verbose'],
+  'git push': ['--all', '--dry-run', '--follow-tags', '--force-with-lease', '--no-verify', '--set-upstream', '--tags', '--verbose'],
+  'git pull': ['--ff-only', '--no-rebase', '--rebase', '--verbose'],
+  'git log': ['--all', '--author', '--decorate', '--follow', '--graph', '--oneline', '--patch', '--since', '--stat', '--until'],
+  'git status': ['--branch', '--ignored', '--porcelain', '--short', '--untracked-files'],
+  'git diff': ['--cached', '--name-only', '--name-status', '--staged', '--stat', '--word-diff'],
+  'npm install': ['--dry-run', '--global', '--legacy-peer-deps', '--no-save', '--omit', '--save', '--save-dev', '--save-exact', '--save-optional', '--save-peer'],
+  'docker run': ['--detach', '--entrypoint', '--env', '--interactive', '--name', '--network', '--platform', '--publish', '--restart', '--rm', '--tty', '--user', '--volume', '--workdir'],
+  'docker build': ['--build-arg', '--file', '--no-cache', '--platform', '--progress', '--pull', '--tag', '--target'],
+  'kubectl get': ['--all-namespaces', '--namespace', '--output', '--selector', '--show-labels', '--watch'],
+  'kubectl logs': ['--container', '--follow', '--namespace', '--previous', '--since', '--tail', '--timestamps'],
+  'gh pr create': ['--assignee', '--base', '--body', '--draft', '--fill', '--head', '--label', '--reviewer', '--title', '--web']
+};
+// Subcommands whose own subcommand matters for options, e.g. `docker compose up --detach`.
+const NESTED_SUBCOMMANDS = new Set(['docker compose', 'docker container', 'docker image', 'kubectl rollout', 'kubectl config']);
+
 const SAFE_SUBCOMMAND_BASES = new Set(Object.keys(COMMON_SUBCOMMANDS));
-const ALLOW_ANY_SUBCOMMANDS = process.env.FUZZRUN_ALLOW_ANY_SUBCOMMANDS === '1';
 const SCRIPT_BASES = new Set(['npm', 'yarn', 'pnpm']);
-const RISKY_ARG_PATTERNS = [
-  /^-f$/,
-  /^-rf$/,
-  /^-fr$/,
-  /^--force$/i,
-  /^--hard$/i,
-  /^--delete$/i,
-  /^--purge$/i,
-  /^--no-preserve-root$/i
-];
-const SCRIPT_ERROR_PATTERNS = [
-  /missing script/i,
-  /unknown script/i,
-  /script.*not found/i,
-  /couldn'?t find.*script/i,
-  /command ".*" not found/i
-];
-const GIT_PATHSPEC_PATTERN = /pathspec .* did not match/i;
-
-const suggestionPatterns = [
-  /The most similar command is\s+([^\s]+)/i,
-  /The most similar commands are:\s*\n\s*([^\s]+)/i,
-  /Did you mean\s+['"]?([A-Za-z0-9:_-]+)['"]?\??/i,
-  /Unknown command\s+['"]?([A-Za-z0-9:_-]+)['"]?\??/i,
-  /Perhaps you meant\s+['"]?([A-Za-z0-9:_-]+)['"]?\??/i
-];
+// yarn classic reports errors on stdout, so its stdout is captured even on a terminal.
+const STDOUT_ERROR_BASES = new Set(['yarn']);
+const CAPTURE_LIMIT = 64 * 1024;
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+// git subcommands whose ref (or remote, for push) arguments are corrected.
+const GIT_REF_SUBCOMMANDS = new Set(['checkout', 'switch', 'merge', 'rebase', 'log', 'diff', 'branch', 'push']);
+// The ones whose refs are also checked in a correction chain, before git has reported anything.
+const GIT_PROBED_REF_SUBCOMMANDS = new Set(['checkout', 'switch', 'merge', 'rebase', 'push']);
+// Commands that write to their arguments: `all` of them or the `last` one (the destination).
+const WRITE_COMMANDS = {
+  'git clone': 'last',
+  'git worktree': 'last',
+  cp: 'last',
+  ln: 'last',
+  rsync: 'last',
+  scp: 'last',
+  install: 'last',
+  tee: 'all',
+  touch: 'all',
+  mkdir: 'all',
+  truncate: 'all',
+  unlink: 'all',
+  rmdir: 'all',
+  shred: 'all',
+  chmod: 'all',
+  chown: 'all',
+  chgrp: 'all'
+};
+// Options whose value is a file that gets written, under any command and per command.
+const OUTPUT_OPTIONS = /^(-o|--output|--out|--outfile|--out-file|--output-file|--log-file|-t|--target-directory)$/;
+const WRITE_OPTIONS = {
+  tar: ['-C', '--directory', '-f', '--file'],
+  unzip: ['-d'],
+  zip: ['-O', '--output-file'],
+  wget: ['-O', '--output-document', '-P', '--directory-prefix', '-a', '--append-output'],
+  curl: ['--output-dir', '-D', '--dump-header', '-c', '--cookie-jar', '--trace', '--trace-ascii', '--stderr'],
+  openssl: ['-out', '-keyout'],
+  'ssh-keygen': ['-f'],
+  gpg: ['--output'],
+  sort: ['-T', '--temporary-directory'],
+  cmake: ['-B'],
+  git: ['-C']
+};
+const MAX_PATH_MATCHES = 8;
+// Shorter package names have too many near neighbors to flag.
+const TYPOSQUAT_MIN_LENGTH = 4;
+// A learned tie-break takes a habit, not a one-off pick: this many successes, and this many
+// more than the runner-up.
+const LEARNED_MIN_SUCCESSES = 3;
+const LEARNED_MIN_MARGIN = 2;
 
-function getStatePath() {
-  return path.join(os.homedir(), '.fuzzrun', 'state.json');
+let activeSettings = null;
+// Only main() owns the process, so only its runs pass on the signals it receives.
+let activeContext = { cwd: null, env: null, forwardSignals: true };
+
+// The directory and environment the command runs in: the process's own for main(), the ones
+// an API caller passed otherwise (see withContext).
+function getCwd() {
+  return activeContext.cwd || process.cwd();
 }
 
-function readState() {
-  try {
-    const raw = fs.readFileSync(getStatePath(), 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    return null;
-  }
+function getEnv() {
+  return activeContext.env || process.env;
 }
 
-function writeState(next) {
-  try {
-    const filePath = getStatePath();
-    fs.mkdirSync(path.dirname(filePath), { recursive: true });
-    fs.writeFileSync(filePath, JSON.stringify(next, null, 2), 'utf8');
-  } catch (err) {
-    // Best-effort only.
+// Both, for the helpers that run their own lookups (help probes, kubectl, docker).
+function getContext() {
+  return { cwd: getCwd(), env: getEnv() };
+}
+
+// Problems with the user's policy and rule files. The CLI prints them; an API call collects
+// them for its result instead (see withContext), since the API never prints.
+function warn(message) {
+  if (activeContext.warnings) {
+    activeContext.warnings.push(message);
+  } else {
+    process.stderr.write(`fuzzrun: ${message}\n`);
   }
 }
 
+// Effective settings for this invocation, resolved once from the layered config.
+function getSettings() {
+  if (activeSettings) return activeSettings;
+  const { values } = config.loadConfig(getContext());
+  activeSettings = {
+    enabled: values.enabled,
+    maxDistance: values.maxDistance,
+    maxDistanceByBase: values.maxDistanceByBase,
+    maxCorrections: values.maxCorrections,
+    minConfidence: values.minConfidence,
+    keyboardLayout: values.keyboardLayout,
+    allowAnySubcommands: values.allowAnySubcommands,
+    confirm: values.confirm,
+    lineEditor: values.lineEditor,
+    typosquatGuard: values.typosquatGuard,
+    trustedPackages: new Set(values.trustedPackages.map((name) => name.toLowerCase())),
+    priorityBases: new Set([...DEFAULT_PRIORITY_BASES, ...values.preferBases.map(normalizeToken)]),
+    policies: policy.loadPolicies({
+      dangerousBases: values.dangerousBases.map(normalizeToken),
+      riskyArgPatterns: values.riskyArgPatterns,
+      onError: (file, err) => warn(`skipping policy ${file}: ${err.message}`)
+    })
+  };
+  return activeSettings;
+}
+
+function getMaxDistance(base) {
+  const settings = getSettings();
+  const override = base ? settings.maxDistanceByBase[normalizeToken(base)] : undefined;
+  return typeof override === 'number' ? override : settings.maxDistance;
+}
+
+function getStatePath() {
+  return path.join(store.getDataDir(), 'state.json');
+}
+
+function readState() {
+  return store.readJson(getStatePath(), null);
+}
+
+// Concurrent shells share state.json, so updates merge under a lock instead of overwriting.
 function updateState(patch) {
-  const state = readState() || {};
-  const next = { ...state, ...patch };
-  writeState(next);
-  return next;
+  return store.updateJson(getStatePath(), (state) => ({ ...(state || {}), ...patch })) || patch;
+}
+
+function getPromotionsPath() {
+  return path.join(store.getDataDir(), 'promoted.json');
+}
+
+function readPromotions() {
+  const parsed = store.readJson(getPromotionsPath(), {});
+  return parsed && typeof parsed === 'object' ? parsed : {};
+}
+
+function getPromotion(corrector, from) {
+  const entries = readPromotions()[corrector] || {};
+  return Object.prototype.hasOwnProperty.call(entries, from) ? entries[from] : null;
+}
+
+function savePromotion(fix) {
+  store.updateJson(getPromotionsPath(), (promotions) => ({
+    ...promotions,
+    [fix.corrector]: { ...(promotions[fix.corrector] || {}), [fix.from]: fix.candidate }
+  }));
 }
 
 function showInstallBannerOnce() {
@@ -247,18 +384,18 @@ function showInstallBannerOnce() {
       ? 'FuzzRun auto-enable failed during install. Run "fuzzrun enable" to activate.\n'
       : 'FuzzRun is automatically enabled. Run "fuzzrun disable" to deactivate.\n';
   process.stderr.write(message);
-  state.bannerShown = true;
-  if (typeof state.enableSucceeded === 'undefined') {
-    state.enableSucceeded = true;
-  }
-  writeState(state);
+  updateState({
+    bannerShown: true,
+    enableSucceeded: typeof state.enableSucceeded === 'undefined' ? true : state.enableSucceeded
+  });
 }
 
 function normalizeToken(value) {
   return String(value || '').toLowerCase();
 }
 
-function damerauLevenshtein(a, b, maxDistance = 2) {
+// `substitutionCost(a, b)` weights substitutions; by default every one costs 1.
+function damerauLevenshtein(a, b, maxDistance = 2, substitutionCost = null) {
   const aNorm = normalizeToken(a);
   const bNorm = normalizeToken(b);
   if (aNorm === bNorm) return 0;
@@ -271,7 +408,7 @@ function damerauLevenshtein(a, b, maxDistance = 2) {
   for (let i = 1; i <= aNorm.length; i += 1) {
     let rowMin = maxDistance + 1;
     for (let j = 1; j <= bNorm.length; j += 1) {
-      const cost = aNorm[i - 1] === bNorm[j - 1] ? 0 : 1;
+      const cost = substitutionCost ? substitutionCost(aNorm[i - 1], bNorm[j - 1]) : aNorm[i - 1] === bNorm[j - 1] ? 0 : 1;
       let value = Math.min(
         dp[i - 1][j] + 1,
         dp[i][j - 1] + 1,
@@ -290,145 +427,447 @@ function damerauLevenshtein(a, b, maxDistance = 2) {
   return dp[aNorm.length][bNorm.length];
 }
 
-function collectPathCommands() {
-  const names = new Set();
-  const pathEntries = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
-  const allowedExts = new Set(
-    (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD')
-      .toLowerCase()
-      .split(';')
-      .filter(Boolean)
-  );
-
-  for (const entry of pathEntries) {
-    try {
-      const items = fs.readdirSync(entry, { withFileTypes: true });
-      for (const item of items) {
-        if (item.isDirectory()) continue;
-        if (process.platform === 'win32') {
-          const ext = path.extname(item.name).toLowerCase();
-          const base = path.basename(item.name, ext);
-          if (!base) continue;
-          if (ext && !allowedExts.has(ext)) continue;
-          names.add(base);
-        } else {
-          names.add(item.name);
-        }
-      }
-    } catch (err) {
-      // Ignore unreadable PATH entries.
-    }
+// The edit distance, which decides whether a candidate matches at all, and the keyboard-weighted
+// `cost`, which only ranks candidates at the same distance: a slip onto a neighboring key is no
+// closer a match, just the likelier one. A target typed with the wrong input source is also
+// compared as the keys that were pressed, so "пше" is distance 0 from "git".
+function matchDistance(candidate, target, maxDistance) {
+  const { keyboardLayout } = getSettings();
+  const weights = keyboard.substitutionCost(keyboardLayout);
+  const typed = keyboard.transliterate(target, keyboardLayout);
+  let best = { distance: maxDistance + 1, cost: Infinity };
+  for (const text of typed === target ? [target] : [target, typed]) {
+    const distance = damerauLevenshtein(candidate, text, maxDistance);
+    if (distance > maxDistance) continue;
+    const cost = damerauLevenshtein(candidate, text, maxDistance, weights);
+    if (distance < best.distance || (distance === best.distance && cost < best.cost)) best = { distance, cost };
   }
-  return names;
+  return best;
 }
 
-const PATH_COMMANDS = collectPathCommands();
+let pathCommands = null;
+
+// Read from the PATH index on first use, so a command that runs fine never scans PATH.
+function getPathCommands() {
+  if (!pathCommands) pathCommands = pathIndex.getCommands({ env: getEnv() });
+  return pathCommands;
+}
 
 function normalizePowerShellGetPrefix(command) {
   if (!command) return command;
   const lowered = normalizeToken(command);
   if (!lowered.startsWith('get-')) return command;
-  if (PATH_COMMANDS.has(command) || PATH_COMMANDS.has(lowered)) return command;
+  const pathCommands = getPathCommands();
+  if (pathCommands.has(command) || pathCommands.has(lowered)) return command;
   const stripped = command.slice(4);
   if (!stripped) return command;
-  if (PATH_COMMANDS.has(stripped)) return stripped;
-  const match = findBestMatch(PATH_COMMANDS, stripped, MAX_DISTANCE);
+  if (pathCommands.has(stripped)) return stripped;
+  const match = findBestMatch(pathCommands, stripped, getMaxDistance());
   if (match) return stripped;
   return command;
 }
 
-function findBestMatch(candidates, target, maxDistance = MAX_DISTANCE) {
+// A candidate must be within maxDistance and at least minConfidence sure (see keyboard.getConfidence).
+// When `note` is given it is called for every candidate within one edit of the
+// threshold, with the rule that rejected it (or null for the chosen match).
+function findBestMatch(candidates, target, maxDistance = getMaxDistance(), note = null) {
   if (!candidates || !target) return null;
+  const { minConfidence } = getSettings();
+  const cap = note ? maxDistance + 1 : maxDistance;
   let best = null;
   let bestDistance = maxDistance + 1;
+  let bestCost = Infinity;
   let ties = [];
+  const nearby = [];
   for (const candidate of candidates || []) {
-    const dist = damerauLevenshtein(candidate, target, maxDistance);
-    if (dist < bestDistance) {
+    const { distance: dist, cost } = matchDistance(candidate, target, cap);
+    const confidence = keyboard.getConfidence(dist, candidate, target);
+    if (note && dist <= cap) nearby.push({ candidate, distance: dist, cost, confidence });
+    if (confidence < minConfidence) continue;
+    if (dist < bestDistance || (dist === bestDistance && cost < bestCost)) {
       best = candidate;
       bestDistance = dist;
+      bestCost = cost;
       ties = [candidate];
-    } else if (dist === bestDistance) {
+    } else if (dist === bestDistance && cost === bestCost) {
       ties.push(candidate);
     }
   }
-  if (!best || bestDistance > maxDistance) return null;
-  if (ties.length > 1) {
-    const preferred = ties.filter((value) => PRIORITY_BASES.has(normalizeToken(value)));
-    if (preferred.length === 1) {
-      return { match: preferred[0], distance: bestDistance };
+  let result = null;
+  if (best && bestDistance <= maxDistance) {
+    if (ties.length > 1) {
+      const preferred = ties.filter((value) => getSettings().priorityBases.has(normalizeToken(value)));
+      const learned = preferred.length === 1 ? null : pickLearnedMatch(target, ties);
+      if (preferred.length === 1) {
+        result = { match: preferred[0], distance: bestDistance };
+      } else if (learned) {
+        result = { match: learned, distance: bestDistance };
+      }
+    } else {
+      result = { match: best, distance: bestDistance };
     }
-    return null;
   }
-  return { match: best, distance: bestDistance };
+  if (note) {
+    nearby.sort((a, b) => a.distance - b.distance || a.cost - b.cost);
+    for (const entry of nearby) {
+      let rejected = null;
+      if (entry.distance > maxDistance) {
+        rejected = 'distance';
+      } else if (entry.confidence < minConfidence) {
+        rejected = 'confidence';
+      } else if (entry.distance > bestDistance) {
+        rejected = 'distance';
+      } else if (!result || result.match !== entry.candidate) {
+        rejected = 'tie';
+      }
+      note(entry.candidate, entry.distance, rejected, entry.confidence);
+    }
+  }
+  return result;
 }
 
-function parseSuggestion(text) {
-  for (const pattern of suggestionPatterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      return match[1];
-    }
+// Breaks a tie in favor of the candidate that has clearly most often fixed this typo
+// successfully before (see LEARNED_MIN_SUCCESSES).
+function pickLearnedMatch(target, ties) {
+  const counts = history.getSuccessCounts(target);
+  const ranked = ties
+    .map((candidate) => ({ candidate, count: counts.get(history.redactText(candidate)) || 0 }))
+    .sort((a, b) => b.count - a.count);
+  if (!ranked.length || ranked[0].count < LEARNED_MIN_SUCCESSES) return null;
+  if (ranked.length > 1 && ranked[0].count - ranked[1].count < LEARNED_MIN_MARGIN) return null;
+  return ranked[0].candidate;
+}
+
+function createNote(trace, corrector, source = null, extra = {}) {
+  if (!trace) return null;
+  return (candidate, distance, rejected, confidence) => {
+    trace.push({ corrector, source, candidate, distance, confidence, rejected, ...extra });
+  };
+}
+
+// Marks an already-chosen candidate as refused by a later safety rule.
+function rejectCandidate(trace, corrector, candidate, rule) {
+  if (!trace) return null;
+  const entries = trace.filter((item) => item.corrector === corrector && item.candidate === candidate && !item.rejected);
+  for (const entry of entries) {
+    entry.rejected = rule;
+  }
+  if (!entries.length) {
+    trace.push({ corrector, source: null, candidate, distance: null, rejected: rule });
   }
   return null;
 }
 
-function run(cmd, args) {
-  const result = spawnSync(cmd, args, {
-    encoding: 'utf8',
-    stdio: ['inherit', 'pipe', 'pipe']
+function parseSuggestion(text) {
+  const match = messages.matchMessage('suggestion', text);
+  return match && match[1] ? match[1] : null;
+}
+
+function signalExitCode(signal) {
+  const number = os.constants.signals[signal];
+  return typeof number === 'number' ? 128 + number : 1;
+}
+
+// Streams the child's output live while keeping the tail of it for the correctors.
+// stdout stays attached to the terminal (colors, pagers) unless the base reports errors there;
+// stderr is piped and echoed, so the child sees no terminal on it (no git progress). A run whose
+// output nobody reads (`capture: false`: a fix, or a command that is not checked) keeps both
+// attached. With `echo: false` nothing is shown and everything is captured. `interrupted` names
+// the first signal this process received meanwhile, which the child may have caught and exited on.
+function run(cmd, args, { echo = true, capture = true } = {}) {
+  const attached = echo && !capture;
+  const captureStdout = !attached && (!echo || !process.stdout.isTTY || STDOUT_ERROR_BASES.has(normalizeToken(cmd)));
+  return new Promise((resolve) => {
+    const captured = { stdout: '', stderr: '' };
+    let settled = false;
+    let child;
+    let interrupted = null;
+    const forwarders = new Map();
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      for (const [signal, handler] of forwarders) process.removeListener(signal, handler);
+      resolve({ stdout: captured.stdout, stderr: captured.stderr, interrupted, ...result });
+    };
+    const collect = (name, target) => (chunk) => {
+      if (echo) target.write(chunk);
+      captured[name] = (captured[name] + chunk.toString('utf8')).slice(-CAPTURE_LIMIT);
+    };
+
+    try {
+      child = spawn(cmd, args, {
+        cwd: getCwd(),
+        env: getEnv(),
+        stdio: ['inherit', captureStdout ? 'pipe' : 'inherit', attached ? 'inherit' : 'pipe']
+      });
+    } catch (err) {
+      finish({ code: 1, signal: null, error: err });
+      return;
+    }
+    for (const signal of activeContext.forwardSignals ? FORWARDED_SIGNALS : []) {
+      // A terminal Ctrl-C already reaches the child through the process group.
+      const handler = () => {
+        interrupted = interrupted || signal;
+        if (signal === 'SIGINT' && process.stdin.isTTY) return;
+        child.kill(signal);
+      };
+      forwarders.set(signal, handler);
+      process.on(signal, handler);
+    }
+    if (child.stdout) child.stdout.on('data', collect('stdout', process.stdout));
+    if (child.stderr) child.stderr.on('data', collect('stderr', process.stderr));
+    child.on('error', (err) => finish({ code: 1, signal: null, error: err }));
+    child.on('close', (code, signal) => {
+      finish({ code: typeof code === 'number' ? code : signalExitCode(signal), signal: signal || null, error: null });
+    });
   });
-  return {
-    code: typeof result.status === 'number' ? result.status : result.error ? 1 : 0,
-    stdout: result.stdout || '',
-    stderr: result.stderr || '',
-    error: result.error
-  };
 }
 
 function logFix(from, to) {
   process.stderr.write(`fuzzrun: auto-correcting "${from}" -> "${to}"\n`);
 }
 
+function splitFlag(arg) {
+  const index = arg.indexOf('=');
+  return index === -1 ? { name: arg, value: '' } : { name: arg.slice(0, index), value: arg.slice(index) };
+}
+
+// The subcommands in front of an option: `git commit`, `gh pr create`, `docker compose up`.
+function getCommandPath(command, args, position) {
+  const leading = [];
+  for (const arg of args.slice(0, position)) {
+    if (arg.startsWith('-')) break;
+    leading.push(arg);
+  }
+  const nested = command === 'gh' || NESTED_SUBCOMMANDS.has(`${command} ${leading[0]}`);
+  return leading.slice(0, nested ? 2 : 1);
+}
+
+// A single argument at args[position], shown after the command alone.
+const ARGUMENT_SHAPE = {
+  typo: (command, args, position) => args[position],
+  describe: (command, args, position) => `${command} ${args[position]}`,
+  apply: (command, args, candidate, position) => ({
+    command,
+    args: args.map((arg, index) => (index === position ? candidate : arg))
+  })
+};
+
+// How each corrector rewrites argv, and how the corrected part is shown in messages.
+const FIX_SHAPES = {
+  base: {
+    typo: (command) => command,
+    describe: (command) => command,
+    apply: (command, args, candidate) => ({ command: candidate, args })
+  },
+  subcommand: {
+    typo: (command, args) => args[0],
+    describe: (command, args) => `${command} ${args[0]}`,
+    apply: (command, args, candidate) => ({ command, args: [candidate, ...args.slice(1)] })
+  },
+  // A package script at args[position], after `run` (args[1] by default) or in place of a
+  // subcommand: `npm run biuld`, `pnpm --filter web run tset`, `yarn biuld`.
+  script: {
+    typo: (command, args, position = 1) => args[position],
+    describe: (command, args, position = 1) => {
+      const run = args.slice(0, position).some((arg) => arg === 'run' || arg === 'run-script');
+      return [command, ...(run ? ['run'] : []), args[position]].join(' ');
+    },
+    apply: (command, args, candidate, position = 1) => ({
+      command,
+      args: args.map((arg, index) => (index === position ? candidate : arg))
+    })
+  },
+  // A workspace selector at args[position]: `npm run build -w packages/wbe`, `pnpm --filter wbe`.
+  workspace: ARGUMENT_SHAPE,
+  // A task-runner target at args[position]: `make biuld`, `deno task dvev`.
+  task: {
+    typo: (command, args, position) => args[position],
+    describe: (command, args, position) =>
+      [command, ...args.slice(0, position).filter((arg) => !arg.startsWith('-')), args[position]].join(' '),
+    apply: (command, args, candidate, position) => ({
+      command,
+      args: args.map((arg, index) => (index === position ? candidate : arg))
+    })
+  },
+  // A file or directory argument at args[position]: `cat READNE.md`.
+  path: ARGUMENT_SHAPE,
+  // A kubectl resource type, resource name or namespace at args[position]: `kubectl get pdos`.
+  kube: ARGUMENT_SHAPE,
+  // A docker container, image or compose service at args[position]: `docker logs api-servr`.
+  docker: ARGUMENT_SHAPE,
+  // A long option at args[position]; an attached `=value` is kept and never shown.
+  flag: {
+    typo: (command, args, position) => splitFlag(args[position]).name,
+    describe: (command, args, position) =>
+      [command, ...getCommandPath(command, args, position), splitFlag(args[position]).name].join(' '),
+    apply: (command, args, candidate, position) => ({
+      command,
+      args: args.map((arg, index) => (index === position ? `${candidate}${splitFlag(arg).value}` : arg))
+    })
+  },
+  // A git ref or remote at args[position], e.g. `git log --oneline mian` or `git push orgin main`.
+  ref: {
+    typo: (command, args, position = 1) => args[position],
+    describe: (command, args, position = 1) => `${command} ${args[0]} ${args[position]}`,
+    apply: (command, args, candidate, position = 1) => ({
+      command,
+      args: args.map((arg, index) => (index === position ? candidate : arg))
+    })
+  }
+};
+
+function makeFix(corrector, command, args, candidate, position) {
+  const shape = FIX_SHAPES[corrector];
+  const next = shape.apply(command, args, candidate, position);
+  return {
+    corrector,
+    candidate,
+    typo: shape.typo(command, args, position),
+    from: shape.describe(command, args, position),
+    to: shape.describe(next.command, next.args, position),
+    command: next.command,
+    args: next.args
+  };
+}
+
+function classifyRisk(command, args) {
+  return policy.classify(command, args, getSettings().policies);
+}
+
 function hasRiskyArgs(args) {
-  return args.some((arg) => RISKY_ARG_PATTERNS.some((pattern) => pattern.test(arg)));
-}
-
-function tryBaseCorrection(command, args) {
-  if (hasRiskyArgs(args)) return null;
-  const suggestion = findBestMatch(PATH_COMMANDS, command, MAX_DISTANCE);
-  if (suggestion && !DANGEROUS_BASE.has(suggestion.match) && suggestion.match !== command) {
-    logFix(command, suggestion.match);
-    return {
-      command: suggestion.match,
-      args,
-      result: run(suggestion.match, args)
-    };
+  return policy.hasRiskyArgs(args, getSettings().policies);
+}
+
+// Every planned fix is checked against the risk policy (see policy.js) for the argv it would
+// run: "never" drops it, "confirm" marks it so that it only runs after a yes.
+function checkPolicy(fix, trace) {
+  const verdict = classifyRisk(fix.command, fix.args);
+  if (verdict.level === 'never') return rejectCandidate(trace, fix.corrector, fix.candidate, verdict.reason);
+  return verdict.level === 'confirm' ? { ...fix, confirm: verdict.reason } : fix;
+}
+
+function getBanned(corrector, command, args, position) {
+  return overrides.getBans(FIX_SHAPES[corrector].describe(command, args, position));
+}
+
+function isBanned(banned, candidate) {
+  return banned.has(overrides.BAN_ALL) || banned.has(candidate);
+}
+
+// Drops candidates the user banned for this typo (`fuzzrun ban`) before any matching.
+function filterBanned(corrector, banned, candidates, trace) {
+  if (!banned.size) return candidates;
+  const kept = [];
+  for (const candidate of candidates) {
+    if (isBanned(banned, candidate)) {
+      if (trace) trace.push({ corrector, source: null, candidate, distance: null, rejected: 'banned' });
+    } else {
+      kept.push(candidate);
+    }
   }
-  return null;
+  return kept;
+}
+
+// Drops candidates that differ from the typo only in digits: `v1.0.1` is another release than
+// `v1.0.0` and `proj-db-2` another container than `proj-db-1`, not a misspelling of it.
+function filterNumbered(corrector, candidates, target, trace) {
+  const letters = (value) => value.replace(/[0-9]/g, '');
+  const kept = [];
+  for (const candidate of candidates) {
+    if (candidate !== target && letters(candidate) === letters(target)) {
+      if (trace) trace.push({ corrector, source: null, candidate, distance: null, rejected: 'numbered' });
+    } else {
+      kept.push(candidate);
+    }
+  }
+  return kept;
+}
+
+// A pinned typo (`fuzzrun pin`), or one the user answered "always" for in confirm mode,
+// skips matching entirely. Pins win over bans; promotions do not.
+function tryPromotedFix(corrector, command, args, trace, position) {
+  const from = FIX_SHAPES[corrector].describe(command, args, position);
+  const pinned = overrides.getPin(from);
+  const promoted = pinned ? null : getPromotion(corrector, from);
+  const candidate = pinned || promoted;
+  if (!candidate) return null;
+  if (promoted && isBanned(getBanned(corrector, command, args, position), promoted)) return null;
+  if (trace) {
+    trace.push({ corrector, source: pinned ? 'pinned' : 'promoted', candidate, distance: null, rejected: null });
+  }
+  return checkPolicy(makeFix(corrector, command, args, candidate, position), trace);
+}
+
+// Correctors only plan a fix (see makeFix); the caller runs it.
+// Passing a trace array records every candidate and rejection for `fuzzrun explain`.
+function tryBaseCorrection(command, args, trace = null) {
+  const promoted = tryPromotedFix('base', command, args, trace);
+  if (promoted) return promoted;
+  const candidates = filterBanned('base', getBanned('base', command, args), getPathCommands(), trace);
+  const suggestion = findBestMatch(candidates, command, getMaxDistance(), createNote(trace, 'base'));
+  if (!suggestion || suggestion.match === command) return null;
+  return checkPolicy(makeFix('base', command, args, suggestion.match), trace);
 }
 
-function trySubcommandCorrection(command, args, combinedOutput) {
-  if (!SAFE_SUBCOMMAND_BASES.has(command) && !ALLOW_ANY_SUBCOMMANDS) return null;
+function trySubcommandCorrection(command, args, combinedOutput, trace = null) {
+  if (!SAFE_SUBCOMMAND_BASES.has(command) && !getSettings().allowAnySubcommands) return null;
   if (!args.length) return null;
   const attemptedSub = args[0];
   if (attemptedSub.startsWith('-')) return null;
-  if (hasRiskyArgs(args)) return null;
-  const fromOutput = parseSuggestion(combinedOutput);
-  const candidates = COMMON_SUBCOMMANDS[command] || [];
-  const fromDict = findBestMatch(candidates, attemptedSub, MAX_DISTANCE);
-  const outputDistance = fromOutput
-    ? damerauLevenshtein(fromOutput, attemptedSub, MAX_DISTANCE)
-    : MAX_DISTANCE + 1;
-  const choice = outputDistance <= MAX_DISTANCE ? fromOutput : fromDict ? fromDict.match : null;
-
-  if (choice && choice !== attemptedSub && damerauLevenshtein(choice, attemptedSub, MAX_DISTANCE) <= MAX_DISTANCE) {
-    logFix(`${command} ${attemptedSub}`, `${command} ${choice}`);
-    return run(command, [choice, ...args.slice(1)]);
+  const promoted = tryPromotedFix('subcommand', command, args, trace);
+  if (promoted) return promoted;
+  if (combinedOutput === null && attemptedSub.length < MIN_UNCHECKED_SUBCOMMAND_LENGTH) return null;
+  let known = discovery.getSubcommands(command, COMMON_SUBCOMMANDS[command] || [], getContext());
+  // Aliases are left as typed but never offered: a typo of `install` is not `instal`.
+  if (known.includes(attemptedSub) || (SUBCOMMAND_ALIASES[command] || []).includes(attemptedSub)) return null;
+  // Aliases and git-* commands cost a `git config` spawn; only look them up for a word the dictionary lacks.
+  if (command === 'git') {
+    known = [...new Set([...known, ...getGitExtraSubcommands()])];
+    if (known.includes(attemptedSub)) return null;
+  }
+  // `yarn biuld`: a script name in place of a subcommand is the script corrector's.
+  if (workspaces.BARE_SCRIPT_BASES.has(command) && isBareScript(command, args, combinedOutput)) return null;
+  const banned = getBanned('subcommand', command, args);
+  let fromOutput = parseSuggestion(combinedOutput);
+  if (fromOutput && isBanned(banned, fromOutput)) {
+    if (trace) {
+      trace.push({ corrector: 'subcommand', source: 'output', candidate: fromOutput, distance: null, rejected: 'banned' });
+    }
+    fromOutput = null;
+  }
+  const candidates = filterBanned('subcommand', banned, known, trace);
+  const maxDistance = getMaxDistance(command);
+  const fromDict = findBestMatch(candidates, attemptedSub, maxDistance, createNote(trace, 'subcommand', 'dictionary'));
+  const outputDistance = fromOutput ? matchDistance(fromOutput, attemptedSub, maxDistance).distance : maxDistance + 1;
+  const useOutput = outputDistance <= maxDistance;
+  if (fromOutput && trace) {
+    trace.push({
+      corrector: 'subcommand',
+      source: 'output',
+      candidate: fromOutput,
+      distance: outputDistance,
+      rejected: useOutput ? null : 'distance'
+    });
+  }
+  if (useOutput && fromDict && fromDict.match !== fromOutput) {
+    rejectCandidate(trace, 'subcommand', fromDict.match, 'superseded');
+  }
+  const choice = useOutput ? fromOutput : fromDict ? fromDict.match : null;
+
+  if (choice && choice !== attemptedSub && matchDistance(choice, attemptedSub, maxDistance).distance <= maxDistance) {
+    return checkPolicy(makeFix('subcommand', command, args, choice), trace);
   }
   return null;
 }
 
+function isBareScript(command, args, combinedOutput) {
+  const invocation = workspaces.parseScriptInvocation(command, args);
+  if (!invocation || !invocation.bare) return false;
+  const known = getReachableScripts(command, invocation, getCwd()) || [];
+  return known.includes(args[invocation.position]) || Boolean(tryScriptCorrection(command, args, combinedOutput));
+}
+
 function findPackageJson(startDir) {
   let current = startDir;
   while (current && current !== path.dirname(current)) {
@@ -452,29 +891,90 @@ function getPackageScripts(cwd) {
 }
 
 function isScriptError(output) {
-  return SCRIPT_ERROR_PATTERNS.some((pattern) => pattern.test(output));
+  return messages.hasMessage('scriptError', output);
 }
 
-function tryScriptCorrection(command, args, combinedOutput) {
+// Scripts an invocation can reach: those of the selected workspaces (all of them with
+// --workspaces, -r or `yarn workspaces`), else the nearest package.json's. Null while a
+// selector names no workspace.
+function getReachableScripts(command, invocation, cwd) {
+  const { selectors, all } = invocation;
+  const found = selectors.length || all ? workspaces.getWorkspaces(cwd) : null;
+  if (!found) return getPackageScripts(cwd);
+  let selected = found.packages;
+  if (!all) {
+    selected = [];
+    for (const selector of selectors) {
+      const matched = workspaces.resolveSelector(found, selector.value, { cwd, scopeless: command === 'pnpm' });
+      if (!matched) return null;
+      selected.push(...matched);
+    }
+  }
+  return [...new Set(selected.flatMap((item) => item.scripts))];
+}
+
+function tryScriptCorrection(command, args, combinedOutput, trace = null) {
   if (!SCRIPT_BASES.has(command)) return null;
-  if (args.length < 2) return null;
-  if (args[0] !== 'run') return null;
-  const scriptName = args[1];
-  if (!scriptName || scriptName.startsWith('-')) return null;
-  if (!isScriptError(combinedOutput)) return null;
-  if (hasRiskyArgs(args)) return null;
-
-  const scripts = getPackageScripts(process.cwd());
-  const match = findBestMatch(scripts, scriptName, MAX_DISTANCE);
-  if (match) {
-    logFix(`${command} run ${scriptName}`, `${command} run ${match.match}`);
-    return run(command, ['run', match.match, ...args.slice(2)]);
+  const invocation = workspaces.parseScriptInvocation(command, args);
+  if (!invocation || invocation.position === -1) return null;
+  const { position } = invocation;
+  const scriptName = args[position];
+  if (combinedOutput !== null && !isScriptError(combinedOutput)) return null;
+  if (invocation.bare) {
+    const subcommands = discovery.getSubcommands(command, COMMON_SUBCOMMANDS[command] || [], getContext());
+    if (subcommands.includes(scriptName)) return null;
   }
-  return null;
+  const promoted = tryPromotedFix('script', command, args, trace, position);
+  if (promoted) return promoted;
+
+  const known = getReachableScripts(command, invocation, getCwd());
+  if (!known || known.includes(scriptName)) return null;
+  const scripts = filterBanned('script', getBanned('script', command, args, position), known, trace);
+  const match = findBestMatch(scripts, scriptName, getMaxDistance(command), createNote(trace, 'script', null, { position }));
+  if (!match) return null;
+  return checkPolicy(makeFix('script', command, args, match.match, position), trace);
 }
 
-function getGitBranches() {
-  const result = spawnSync('git', ['branch', '--format=%(refname:short)'], { encoding: 'utf8' });
+// A -w/--workspace, --filter or `yarn workspace` value that names no workspace of the
+// nearest workspace root.
+function tryWorkspaceCorrection(command, args, combinedOutput, trace = null) {
+  if (!SCRIPT_BASES.has(command)) return null;
+  const invocation = workspaces.parseScriptInvocation(command, args);
+  if (!invocation || !invocation.selectors.length) return null;
+  const found = workspaces.getWorkspaces(getCwd());
+  if (!found) return null;
+  const options = { cwd: getCwd(), scopeless: command === 'pnpm' };
+  const selector = invocation.selectors.find((item) => !workspaces.resolveSelector(found, item.value, options));
+  if (!selector) return null;
+  const bad = {
+    position: selector.position,
+    candidates: () =>
+      workspaces.selectorCandidates(found, selector.value, options).map((value) => `${selector.prefix}${value}`)
+  };
+  return planArgumentFix('workspace', command, args, bad, trace);
+}
+
+// make, just, deno task, composer, poetry/pdm/hatch run, task and cargo aliases (see tasks.js).
+function tryTaskCorrection(command, args, combinedOutput, trace = null) {
+  const target = tasks.findTarget(command, args);
+  if (!target) return null;
+  const { runner, position } = target;
+  const name = args[position];
+  if (combinedOutput !== null && !tasks.isMissingTarget(runner, combinedOutput, name)) return null;
+  const promoted = tryPromotedFix('task', command, args, trace, position);
+  if (promoted) return promoted;
+
+  const known = tasks.getTargets(runner, getCwd());
+  if (known.includes(name)) return null;
+  const targets = filterBanned('task', getBanned('task', command, args, position), known, trace);
+  const match = findBestMatch(targets, name, getMaxDistance(command), createNote(trace, 'task', null, { position }));
+  if (!match) return null;
+  return checkPolicy(makeFix('task', command, args, match.match, position), trace);
+}
+
+function gitLines(args) {
+  const { cwd, env } = getContext();
+  const result = spawnSync('git', args, { encoding: 'utf8', cwd, env: messages.getProbeEnv(env, cwd) });
   if (result.status !== 0) return [];
   return (result.stdout || '')
     .split(/\r?\n/)
@@ -482,56 +982,1293 @@ function getGitBranches() {
     .filter(Boolean);
 }
 
-function tryGitBranchCorrection(command, args, combinedOutput) {
+function getGitRemotes() {
+  return gitLines(['remote']);
+}
+
+// Refs a subcommand accepts. checkout/switch also take "feature/x" for "origin/feature/x",
+// since git creates the tracking branch itself; branch -d and push only see local branches.
+function getGitRefs(subcommand) {
+  const remotes = getGitRemotes();
+  const local = [];
+  const remote = [];
+  const remoteShort = [];
+  const tags = [];
+  for (const ref of gitLines(['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes', 'refs/tags'])) {
+    if (ref.startsWith('refs/heads/')) {
+      local.push(ref.slice('refs/heads/'.length));
+    } else if (ref.startsWith('refs/tags/')) {
+      tags.push(ref.slice('refs/tags/'.length));
+    } else if (ref.startsWith('refs/remotes/') && !ref.endsWith('/HEAD')) {
+      const name = ref.slice('refs/remotes/'.length);
+      remote.push(name);
+      const owner = remotes.find((item) => name.startsWith(`${item}/`));
+      if (owner) remoteShort.push(name.slice(owner.length + 1));
+    }
+  }
+  const bySubcommand = {
+    checkout: [local, remoteShort, remote, tags],
+    switch: [local, remoteShort],
+    branch: [local],
+    push: [local, tags]
+  };
+  const groups = bySubcommand[subcommand] || [local, remote, tags];
+  return [...new Set(groups.flat())];
+}
+
+// Extra git subcommands that `git help -a` may not list or that change without the binary:
+// configured aliases and git-* executables on PATH.
+function getGitExtraSubcommands() {
+  const aliases = gitLines(['config', '--get-regexp', '^alias\\.']).map((line) =>
+    line.split(/\s/)[0].slice('alias.'.length)
+  );
+  const externals = [...getPathCommands()].filter((name) => name.startsWith('git-')).map((name) => name.slice(4));
+  return [...aliases, ...externals].filter(Boolean);
+}
+
+function atPosition(args, name, candidates) {
+  const position = args.indexOf(name, 1);
+  return position === -1 ? null : { name, position, candidates };
+}
+
+function looksLikeRevision(token) {
+  return /^[0-9a-f]{7,40}$/i.test(token) || /^(HEAD|FETCH_HEAD|ORIG_HEAD)$/.test(token) || /[~^@:]/.test(token);
+}
+
+// Without error output to go by, only the simple forms are checked against the ref list:
+// `git checkout|switch|merge|rebase <ref>` and `git push <remote> [<branch>]`, with no options.
+function findUnknownGitRef(subcommand, args) {
+  if (!GIT_PROBED_REF_SUBCOMMANDS.has(subcommand)) return null;
+  const positional = args.slice(1);
+  if (!positional.length || positional.some((arg) => arg.startsWith('-'))) return null;
+  if (subcommand === 'push') {
+    if (positional.length > 2) return null;
+    const remotes = getGitRemotes();
+    if (!remotes.includes(positional[0])) return atPosition(args, positional[0], () => remotes);
+    const branch = positional[1];
+    if (!branch || looksLikeRevision(branch)) return null;
+    const refs = getGitRefs(subcommand);
+    return refs.includes(branch) ? null : atPosition(args, branch, () => refs);
+  }
+  if (positional.length !== 1) return null;
+  const ref = positional[0];
+  if (looksLikeRevision(ref) || fs.existsSync(path.resolve(getCwd(), ref))) return null;
+  const refs = getGitRefs(subcommand);
+  return refs.includes(ref) ? null : atPosition(args, ref, () => refs);
+}
+
+function findBadGitRef(subcommand, args, combinedOutput) {
+  if (combinedOutput === null) return findUnknownGitRef(subcommand, args);
+  if (subcommand === 'push') {
+    const remoteMatch = messages.matchMessage('gitRemote', combinedOutput);
+    if (remoteMatch) return atPosition(args, remoteMatch[1], getGitRemotes);
+  }
+  const match = messages.matchMessage('gitRef', combinedOutput);
+  return match ? atPosition(args, match[1], () => getGitRefs(subcommand)) : null;
+}
+
+function tryGitRefCorrection(command, args, combinedOutput, trace = null) {
   if (command !== 'git') return null;
-  if (args.length < 2) return null;
   const subcommand = args[0];
-  if (subcommand !== 'checkout' && subcommand !== 'switch') return null;
-  const branch = args[1];
-  if (!branch || branch.startsWith('-')) return null;
-  if (!GIT_PATHSPEC_PATTERN.test(combinedOutput)) return null;
-  if (hasRiskyArgs(args)) return null;
-
-  const branches = getGitBranches();
-  const match = findBestMatch(branches, branch, MAX_DISTANCE);
-  if (match) {
-    logFix(`${command} ${subcommand} ${branch}`, `${command} ${subcommand} ${match.match}`);
-    return run(command, [subcommand, match.match, ...args.slice(2)]);
+  if (!GIT_REF_SUBCOMMANDS.has(subcommand)) return null;
+  // Only a plain `git branch -d`; a forced delete is never retried with a different branch.
+  if (subcommand === 'branch' && (!args.includes('-d') || args.some((arg) => /^(-D|-f|--force)$/.test(arg)))) {
+    return null;
+  }
+  const bad = findBadGitRef(subcommand, args, combinedOutput);
+  if (!bad) return null;
+  const { position } = bad;
+  const promoted = tryPromotedFix('ref', command, args, trace, position);
+  if (promoted) return promoted;
+
+  const unbanned = filterBanned('ref', getBanned('ref', command, args, position), bad.candidates(), trace);
+  const refs = filterNumbered('ref', unbanned, bad.name, trace);
+  const match = findBestMatch(refs, bad.name, getMaxDistance(command), createNote(trace, 'ref', null, { position }));
+  if (!match || match.match === bad.name) return null;
+  return checkPolicy(makeFix('ref', command, args, match.match, position), trace);
+}
+
+// Matches the argument a corrector module found at bad.position against bad.candidates().
+function planArgumentFix(corrector, command, args, bad, trace) {
+  if (!bad) return null;
+  const { position } = bad;
+  const promoted = tryPromotedFix(corrector, command, args, trace, position);
+  if (promoted) return promoted;
+
+  const unbanned = filterBanned(corrector, getBanned(corrector, command, args, position), bad.candidates(), trace);
+  const known = filterNumbered(corrector, unbanned, args[position], trace);
+  const note = createNote(trace, corrector, null, { position });
+  const match = findBestMatch(known, args[position], getMaxDistance(command), note);
+  if (!match || match.match === args[position]) return null;
+  return checkPolicy(makeFix(corrector, command, args, match.match, position), trace);
+}
+
+function tryKubeCorrection(command, args, combinedOutput, trace = null) {
+  if (command !== 'kubectl') return null;
+  return planArgumentFix('kube', command, args, kube.findProblem(args, combinedOutput, getContext()), trace);
+}
+
+function tryDockerCorrection(command, args, combinedOutput, trace = null) {
+  const problem = docker.findProblem(command, args, combinedOutput, getContext());
+  return planArgumentFix('docker', command, args, problem, trace);
+}
+
+function findBadFlag(args, combinedOutput) {
+  // Options are only corrected from an error; help output rarely lists every one.
+  if (combinedOutput === null) return -1;
+  for (const pattern of messages.getPatterns('flagError')) {
+    const match = combinedOutput.match(pattern);
+    if (!match) continue;
+    // git quotes the option without its dashes: unknown option `ammend'
+    const bare = match[1].replace(/^-+/, '');
+    const position = args.findIndex((arg) => arg.startsWith('--') && splitFlag(arg).name.slice(2) === bare);
+    if (position !== -1) return position;
+  }
+  return -1;
+}
+
+function tryFlagCorrection(command, args, combinedOutput, trace = null) {
+  if (!SAFE_SUBCOMMAND_BASES.has(command) && !getSettings().allowAnySubcommands) return null;
+  const position = findBadFlag(args, combinedOutput);
+  if (position === -1) return null;
+  const promoted = tryPromotedFix('flag', command, args, trace, position);
+  if (promoted) return promoted;
+
+  const flag = splitFlag(args[position]).name;
+  const commandPath = getCommandPath(command, args, position);
+  const fallback = COMMON_OPTIONS[[command, ...commandPath].join(' ')] || [];
+  const known = discovery.getOptions(command, commandPath, fallback, getContext());
+  const options = filterBanned('flag', getBanned('flag', command, args, position), known, trace);
+  const match = findBestMatch(options, flag, getMaxDistance(command), createNote(trace, 'flag', null, { position }));
+  if (!match || match.match === flag) return null;
+  // The closest option wins or nothing does: --forse is never rewritten to --force, nor to a runner-up.
+  if (hasRiskyArgs([match.match])) return rejectCandidate(trace, 'flag', match.match, 'risky-arg');
+  return checkPolicy(makeFix('flag', command, args, match.match, position), trace);
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+// Every existing path the input could have meant, one fuzzy segment at a time: "src/clie.js"
+// -> ["src/cli.js"]. Keeps the input's style (relative, ~, separators) in the result.
+function resolveFuzzyPath(input, maxDistance, { directoriesOnly = false } = {}) {
+  const { minConfidence } = getSettings();
+  const separator = input.includes('\\') && !input.includes('/') ? '\\' : '/';
+  let start = getCwd();
+  let prefix = '';
+  let rest = input;
+  if (input === '~' || input.startsWith('~/') || input.startsWith('~\\')) {
+    start = os.homedir();
+    prefix = '~';
+    rest = input.slice(1);
+  } else if (path.isAbsolute(input)) {
+    start = path.parse(path.resolve(input)).root;
+    prefix = input.slice(0, start.length).replace(/[\\/]+$/, '');
+    rest = input.slice(start.length);
+  }
+  const segments = rest.split(/[\\/]+/).filter(Boolean);
+  let current = [{ dir: start, parts: [], distance: 0 }];
+  segments.forEach((segment, index) => {
+    const wantDirectory = directoriesOnly || index < segments.length - 1;
+    const next = [];
+    for (const item of current) {
+      const exact = path.join(item.dir, segment);
+      if (segment === '.' || segment === '..' || (fs.existsSync(exact) && (!wantDirectory || isDirectory(exact)))) {
+        next.push({ dir: exact, parts: [...item.parts, segment], distance: item.distance });
+        continue;
+      }
+      let entries = [];
+      try {
+        entries = fs.readdirSync(item.dir);
+      } catch (err) {
+        continue;
+      }
+      for (const entry of entries) {
+        const { distance } = matchDistance(entry, segment, maxDistance);
+        if (distance > maxDistance || keyboard.getConfidence(distance, entry, segment) < minConfidence) continue;
+        const full = path.join(item.dir, entry);
+        if (wantDirectory && !isDirectory(full)) continue;
+        next.push({ dir: full, parts: [...item.parts, entry], distance: item.distance + distance });
+      }
+    }
+    current = next.length > MAX_PATH_MATCHES ? [] : next;
+  });
+  const trailing = /[\\/]$/.test(input) ? separator : '';
+  return current
+    .filter((item) => item.distance > 0)
+    .map((item) => ({
+      path: `${prefix}${prefix || path.isAbsolute(input) ? separator : ''}${item.parts.join(separator)}${trailing}`,
+      distance: item.distance
+    }));
+}
+
+// Argument positions that are written to and so never corrected, or null when all of them are.
+function getWrittenPositions(command, args) {
+  const base = normalizeToken(command);
+  const mode = WRITE_COMMANDS[base] || WRITE_COMMANDS[`${base} ${args[0]}`];
+  if (mode === 'all') return null;
+  const writeOptions = WRITE_OPTIONS[base] || [];
+  const written = new Set();
+  args.forEach((arg, index) => {
+    if (OUTPUT_OPTIONS.test(arg) || writeOptions.includes(arg)) written.add(index + 1);
+  });
+  if (mode === 'last' && !args.some((arg) => /^(-t|--target-directory)/.test(arg))) {
+    const positional = args.map((arg, index) => (arg.startsWith('-') ? -1 : index)).filter((index) => index !== -1);
+    if (positional.length) written.add(positional[positional.length - 1]);
+  }
+  return written;
+}
+
+function mentionsPath(output, arg) {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const names = [arg, path.resolve(getCwd(), arg)].map(escape).join('|');
+  return new RegExp(`(^|[\\s'"\`:(])(${names})($|[\\s'"\`:,)])`, 'm').test(output);
+}
+
+// The first argument that names a missing file, going by a path error that mentions it. Later
+// in a correction chain there is no error yet, so no path is touched; nor under a command that
+// writes to all its arguments or that the risk policy does not mark safe (`sed -i`, `find -delete`).
+function findMissingPath(command, args, combinedOutput) {
+  if (combinedOutput === null || !messages.hasMessage('pathError', combinedOutput)) return -1;
+  const written = getWrittenPositions(command, args);
+  if (!written || classifyRisk(command, args).level !== 'safe') return -1;
+  return args.findIndex((arg, index) => {
+    if (written.has(index) || arg.startsWith('-') || arg.includes('=')) return false;
+    if (process.platform !== 'win32' && arg.includes(':')) return false;
+    if (fs.existsSync(path.resolve(getCwd(), arg))) return false;
+    return mentionsPath(combinedOutput, arg);
+  });
+}
+
+function planPathFix(command, args, position, trace, options = {}) {
+  const promoted = tryPromotedFix('path', command, args, trace, position);
+  if (promoted) return promoted;
+  const banned = getBanned('path', command, args, position);
+  const note = createNote(trace, 'path', null, { position });
+  const matches = resolveFuzzyPath(args[position], getMaxDistance(command), options).filter((match) => {
+    if (!isBanned(banned, match.path)) return true;
+    if (trace) trace.push({ corrector: 'path', source: null, candidate: match.path, distance: null, rejected: 'banned' });
+    return false;
+  });
+  // Only a single existing path counts; anything else is ambiguous.
+  for (const match of matches) {
+    const confidence = keyboard.getConfidence(match.distance, match.path, args[position]);
+    if (note) note(match.path, match.distance, matches.length === 1 ? null : 'tie', confidence);
+  }
+  if (matches.length !== 1) return null;
+  return checkPolicy(makeFix('path', command, args, matches[0].path, position), trace);
+}
+
+function tryPathCorrection(command, args, combinedOutput, trace = null) {
+  const position = findMissingPath(command, args, combinedOutput);
+  if (position === -1) return null;
+  return planPathFix(command, args, position, trace);
+}
+
+function argvFix(corrector, command, args, argv) {
+  const [nextCommand, ...nextArgs] = argv;
+  return {
+    corrector,
+    candidate: argv.join(' '),
+    typo: [command, ...args].join(' '),
+    from: [command, ...args].join(' '),
+    to: argv.join(' '),
+    command: nextCommand,
+    args: nextArgs
+  };
+}
+
+// Plugin rules propose whole argv lists; the same safety rules apply before anything runs.
+function tryPluginRule(rule, command, args, combinedOutput, trace = null) {
+  let proposals;
+  try {
+    proposals = rules.applyRule(rule, command, args, combinedOutput);
+  } catch (err) {
+    warn(`rule ${rule.name} failed: ${err.message}`);
+    return null;
+  }
+  for (const argv of proposals) {
+    const fix = argvFix(rule.name, command, args, argv);
+    if (trace) {
+      trace.push({ corrector: rule.name, source: 'rule', candidate: fix.candidate, distance: null, rejected: null, argv });
+    }
+    if (isBanned(overrides.getBans(fix.from), fix.candidate)) {
+      rejectCandidate(trace, rule.name, fix.candidate, 'banned');
+    } else if (changesPackages(command, args, fix)) {
+      rejectCandidate(trace, rule.name, fix.candidate, 'package-name');
+    } else {
+      const checked = checkPolicy(fix, trace);
+      if (checked && !rule.autoRun) rejectCandidate(trace, rule.name, fix.candidate, 'not-auto-run');
+      if (checked && rule.autoRun) return checked;
+    }
+  }
+  return null;
+}
+
+const BUILTIN_RULES = [
+  { name: 'subcommand', priority: 300, autoRun: true, source: 'built-in', plan: trySubcommandCorrection },
+  { name: 'workspace', priority: 250, autoRun: true, source: 'built-in', plan: tryWorkspaceCorrection },
+  { name: 'script', priority: 200, autoRun: true, source: 'built-in', plan: tryScriptCorrection },
+  { name: 'task', priority: 200, autoRun: true, source: 'built-in', plan: tryTaskCorrection },
+  { name: 'flag', priority: 150, autoRun: true, source: 'built-in', plan: tryFlagCorrection },
+  { name: 'ref', priority: 100, autoRun: true, source: 'built-in', plan: tryGitRefCorrection },
+  { name: 'kube', priority: 100, autoRun: true, source: 'built-in', plan: tryKubeCorrection },
+  { name: 'docker', priority: 100, autoRun: true, source: 'built-in', plan: tryDockerCorrection },
+  { name: 'path', priority: 50, autoRun: true, source: 'built-in', plan: tryPathCorrection }
+];
+
+let pluginRules = null;
+
+function getCorrectionRules() {
+  if (!pluginRules) {
+    pluginRules = rules
+      .loadRules({
+        onError: (file, err) => warn(`skipping rule ${file}: ${err.message}`)
+      })
+      .map((rule) => ({
+        ...rule,
+        plan: (command, args, combinedOutput, trace) =>
+          combinedOutput === null ? null : tryPluginRule(rule, command, args, combinedOutput, trace)
+      }));
+  }
+  // Stable sort: built-ins win ties with plugins of the same priority.
+  return [...BUILTIN_RULES, ...pluginRules].sort((a, b) => b.priority - a.priority);
+}
+
+// A null `combinedOutput` means an earlier step already rewrote argv, so no error output
+// describes it: correctors then check argv against their dictionaries only.
+function tryFollowUpCorrection(command, args, combinedOutput, trace = null) {
+  for (const rule of getCorrectionRules()) {
+    const fix = rule.plan(command, args, combinedOutput, trace);
+    if (fix) return fix;
+  }
+  return null;
+}
+
+const MAX_PICK_OPTIONS = 9;
+
+function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stderr.isTTY && typeof process.stdin.setRawMode === 'function');
+}
+
+// Near misses the automatic rules refused: ties and matches one edit past the threshold.
+function rankCandidates(trace, command, args) {
+  const seen = new Set();
+  const ranked = [];
+  const sorted = trace
+    .filter(
+      (item) =>
+        (['tie', 'distance', 'confidence'].includes(item.rejected) && item.distance !== null) ||
+        (item.rejected === 'not-auto-run' && item.argv)
+    )
+    .sort((a, b) => (a.distance || 0) - (b.distance || 0));
+  for (const item of sorted) {
+    const key = `${item.corrector}:${item.candidate}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const fix = item.argv
+      ? argvFix(item.corrector, command, args, item.argv)
+      : makeFix(item.corrector, command, args, item.candidate, item.position);
+    if (classifyRisk(fix.command, fix.args).level !== 'never') ranked.push(fix);
+  }
+  return ranked.slice(0, MAX_PICK_OPTIONS);
+}
+
+function readKey() {
+  const buffer = Buffer.alloc(8);
+  process.stdin.setRawMode(true);
+  try {
+    for (;;) {
+      try {
+        const bytes = fs.readSync(process.stdin.fd, buffer, 0, buffer.length, null);
+        return buffer.toString('utf8', 0, bytes);
+      } catch (err) {
+        if (err.code !== 'EAGAIN') return '';
+        store.sleep(20);
+      }
+    }
+  } finally {
+    process.stdin.setRawMode(false);
+  }
+}
+
+function pickOption(options, prompt) {
+  process.stderr.write(prompt);
+  const key = readKey();
+  process.stderr.write('\n');
+  if (key === '\r' || key === '\n' || key === 'y') return { index: 0, always: false };
+  if (key === 'a') {
+    if (options.length === 1) return { index: 0, always: true };
+    const again = pickOption(options, `fuzzrun: always use which? [1-${options.length}]: `);
+    return again ? { index: again.index, always: true } : null;
+  }
+  const index = Number(key) - 1;
+  if (Number.isInteger(index) && index >= 0 && index < options.length) return { index, always: false };
+  return null;
+}
+
+// Opt-in (confirm=true): offers the near misses as a pick list when no automatic fix exists.
+function confirmCorrection(command, args, trace) {
+  if (!trace || !getSettings().confirm || !isInteractive()) return null;
+  const options = rankCandidates(trace, command, args);
+  if (!options.length) return null;
+  process.stderr.write(`fuzzrun: no confident fix for "${options[0].from}". Did you mean:\n`);
+  options.forEach((option, index) => {
+    process.stderr.write(`  ${index + 1}) ${option.to}\n`);
+  });
+  const range = options.length > 1 ? `1-${options.length}` : '1';
+  const answer = pickOption(options, `[Enter] run 1, [${range}] run, [a] always, any other key aborts: `);
+  if (!answer) return null;
+  const fix = options[answer.index];
+  if (answer.always) savePromotion(fix);
+  return fix;
+}
+
+// Without confirm mode, fixes from rules that may not auto-run are only printed.
+function offerCorrection(command, args, trace) {
+  if (getSettings().confirm && isInteractive()) return confirmCorrection(command, args, trace);
+  for (const item of trace) {
+    if (item.rejected === 'not-auto-run') {
+      process.stderr.write(`fuzzrun: rule "${item.corrector}" suggests: ${item.candidate}\n`);
+    }
   }
   return null;
 }
 
-function main() {
-  const argv = process.argv.slice(2);
+// Package names an install asks for that are not popular or known packages but sit an edit or two
+// from one (`lodahs`, `reqeusts`). They are only ever reported, never corrected.
+function findTyposquats(command, args) {
+  const found = packages.findPackages(normalizeToken(command), args);
+  if (!found) return [];
+  const popular = packages.getPopularPackages(found.ecosystem);
+  const { trustedPackages } = getSettings();
+  const suspects = [];
+  for (const { name, position } of found.packages) {
+    if (name.length < TYPOSQUAT_MIN_LENGTH || packages.isKnownPackage(found.ecosystem, name) || trustedPackages.has(name)) continue;
+    const limit = name.length >= 8 ? 2 : 1;
+    let closest = null;
+    for (const candidate of popular) {
+      const distance = damerauLevenshtein(name, candidate, limit);
+      if (distance <= limit && (!closest || distance < closest.distance)) closest = { candidate, distance };
+    }
+    if (closest) suspects.push({ name, position, similarTo: closest.candidate, distance: closest.distance });
+  }
+  return suspects;
+}
+
+// Runs before an install is started. Warns about lookalike package names; with
+// typosquatGuard=block the install waits for a "y", and is refused when nobody can answer.
+function guardPackageInstall(command, args) {
+  const mode = getSettings().typosquatGuard;
+  if (mode === 'off') return true;
+  const suspects = findTyposquats(command, args);
+  for (const item of suspects) {
+    process.stderr.write(
+      `fuzzrun: warning: "${item.name}" is not a popular package but looks like "${item.similarTo}"; a lookalike name may be malicious\n`
+    );
+  }
+  if (!suspects.length || mode !== 'block') return true;
+  if (!isInteractive()) {
+    process.stderr.write('fuzzrun: install blocked (typosquatGuard=block); add the name to trustedPackages if it is right\n');
+    return false;
+  }
+  process.stderr.write('[y] install anyway, any other key aborts: ');
+  const key = readKey();
+  process.stderr.write('\n');
+  return key === 'y';
+}
+
+// A rule may rewrite an install command, but not the package names it asks for.
+function changesPackages(command, args, fix) {
+  const before = packages.findPackages(normalizeToken(command), args);
+  const after = packages.findPackages(normalizeToken(fix.command), fix.args);
+  const names = (found) => (found ? found.packages.map((item) => item.name).join(' ') : '');
+  return Boolean(before || after) && names(before) !== names(after);
+}
+
+// The planned fix is what runs, so an install it turns the command into (`nmp install lodahs`,
+// `npm instll lodahs`) gets the same lookalike check as one that was typed.
+function guardFixInstall(command, args, fix) {
+  return !changesPackages(command, args, fix) || guardPackageInstall(fix.command, fix.args);
+}
+
+// Several steps are reported as one correction of the whole command.
+function combineFixes(command, args, fixes) {
+  if (fixes.length <= 1) return fixes[0] || null;
+  const last = fixes[fixes.length - 1];
+  const confirm = fixes.map((fix) => fix.confirm).find(Boolean);
+  return {
+    corrector: fixes.map((fix) => fix.corrector).join('+'),
+    candidate: last.candidate,
+    typo: [command, ...args].join(' '),
+    from: [command, ...args].join(' '),
+    to: [last.command, ...last.args].join(' '),
+    command: last.command,
+    args: last.args,
+    ...(confirm ? { confirm } : {}),
+    steps: fixes
+  };
+}
+
+// The single correction pipeline: base command first when it was not found, then the rules
+// (subcommand, script, flag, ref, plugins) step after step on the corrected argv, up to
+// maxCorrections fixes. Only the first step sees the real error output; nothing is re-run
+// in between, so later steps leave aliases and short words as typed (`nmp i` -> `npm i`, never
+// `npm ci`). With `offer`, a step without an automatic fix may ask or suggest instead.
+function planCorrections(command, args, firstRun, trace = [], { offer = false } = {}) {
+  const fixes = [];
+  let current = { command, args };
+  let output = `${firstRun.stderr}\n${firstRun.stdout}`;
+  const notFound = Boolean(firstRun.error && firstRun.error.code === 'ENOENT');
+  const depth = getSettings().maxCorrections;
+  while (fixes.length < depth) {
+    const stepTrace = [];
+    const planned =
+      notFound && !fixes.length
+        ? tryBaseCorrection(current.command, current.args, stepTrace)
+        : tryFollowUpCorrection(current.command, current.args, output, stepTrace);
+    const fix = planned || (offer ? offerCorrection(current.command, current.args, stepTrace) : null);
+    trace.push(...stepTrace);
+    if (!fix) break;
+    fixes.push(fix);
+    current = fix;
+    output = null;
+  }
+  return combineFixes(command, args, fixes);
+}
+
+// kubectl lists nothing and exits 0 for a namespace that does not exist; that is corrected
+// like a failure, and left alone when the namespace is real.
+function isSoftFailure(command, result) {
+  return command === 'kubectl' && kube.isEmptyNamespaceResult(result.stderr);
+}
+
+// A fix the policy marks "confirm" runs only after a "y"; without a terminal it is printed.
+function confirmRiskyFix(fix) {
+  if (!fix.confirm) return true;
+  if (!isInteractive()) {
+    process.stderr.write(`fuzzrun: not auto-running "${fix.to}" (policy: ${fix.confirm}); run it yourself if it is right\n`);
+    return false;
+  }
+  process.stderr.write(`fuzzrun: "${fix.from}" -> "${fix.to}" needs confirmation (policy: ${fix.confirm})\n`);
+  process.stderr.write('[y] run it, any other key aborts: ');
+  const key = readKey();
+  process.stderr.write('\n');
+  return key === 'y';
+}
+
+async function runFix(fix) {
+  logFix(fix.from, fix.to);
+  const result = await run(fix.command, fix.args, { capture: false });
+  for (const step of fix.steps || [fix]) {
+    history.recordCorrection(step, result, { cwd: getCwd() });
+  }
+  return result;
+}
+
+// Output was already streamed; only the exit status is left to propagate. A child killed by a
+// signal re-raises it so the calling shell sees the same termination.
+function exitWith(result) {
+  if (result.signal && process.platform !== 'win32') {
+    process.kill(process.pid, result.signal);
+  }
+  process.exit(result.code);
+}
+
+// Switches the cwd and env the pipeline works against for the duration of fn (sync or async).
+// Settings, plugin rules and the PATH listing belong to a context and are swapped along with
+// it. Runs in it leave the host process's signal handlers alone unless forwardSignals is set,
+// and warnings go to the `warnings` array when one is given.
+function withContext({ cwd = null, env = null, forwardSignals = false, warnings = null } = {}, fn) {
+  const saved = { context: activeContext, settings: activeSettings, pathCommands, pluginRules };
+  activeContext = { cwd: cwd ? path.resolve(cwd) : null, env: env || null, forwardSignals, warnings };
+  activeSettings = null;
+  pathCommands = null;
+  pluginRules = null;
+  const restore = () => {
+    activeContext = saved.context;
+    activeSettings = saved.settings;
+    pathCommands = saved.pathCommands;
+    pluginRules = saved.pluginRules;
+  };
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    restore();
+    throw err;
+  }
+  if (result && typeof result.then === 'function') return result.finally(restore);
+  restore();
+  return result;
+}
+
+let contextQueue = Promise.resolve();
+
+// Async calls keep their context across awaits, so they take turns.
+function inContext(options, fn) {
+  const task = contextQueue.then(() => withContext(options, fn));
+  contextQueue = task.catch(() => {});
+  return task;
+}
+
+// Walks the same decision pipeline as main() without any retry. The command itself runs
+// once to read its error, unless its captured `output` is given; `executed` says which.
+function explain(argv, { cwd, env, output = null } = {}) {
+  const warnings = [];
+  return inContext({ cwd, env, warnings }, () => planExplanation(argv, output, warnings));
+}
+
+async function planExplanation(argv, output, warnings) {
+  const report = { argv, executed: false, firstRun: null, typosquats: [], candidates: [], fix: null, warnings };
+  if (!getSettings().enabled) {
+    report.disabled = true;
+    return report;
+  }
+  const baseCommand = normalizePowerShellGetPrefix(argv[0]);
+  const rest = argv.slice(1);
+  report.typosquats = getSettings().typosquatGuard === 'off' ? [] : findTyposquats(baseCommand, rest);
+  // explain never installs a lookalike package just to show what would happen.
+  if (report.typosquats.length && output === null) {
+    report.blocked = true;
+    return report;
+  }
+  // Nor does it run anything the risk policy would not run unasked: that needs the output.
+  const verdict = output === null ? classifyRisk(baseCommand, rest) : null;
+  if (verdict && verdict.level !== 'safe') {
+    report.refused = verdict.reason;
+    return report;
+  }
+  const firstRun = output === null ? await run(baseCommand, rest, { echo: false }) : assumeFailure(baseCommand, output);
+  report.executed = output === null;
+  const notFound = Boolean(firstRun.error && firstRun.error.code === 'ENOENT');
+  const combinedOutput = `${firstRun.stderr}\n${firstRun.stdout}`;
+  report.firstRun = { code: firstRun.code, notFound, output: combinedOutput.trim() };
+  if (notFound || firstRun.code !== 0 || isSoftFailure(baseCommand, firstRun)) {
+    report.fix = planCorrections(baseCommand, rest, firstRun, report.candidates);
+  }
+  return report;
+}
+
+// Candidates the API reports, best first: accepted ones, then by distance.
+function rankSuggestions(candidates) {
+  const distance = (item) => (item.distance === null || item.distance === undefined ? Infinity : item.distance);
+  return [...candidates].sort((a, b) => Number(Boolean(a.rejected)) - Number(Boolean(b.rejected)) || distance(a) - distance(b));
+}
+
+function summarizeRun(result) {
+  return {
+    code: result.code,
+    signal: result.signal,
+    notFound: Boolean(result.error && result.error.code === 'ENOENT'),
+    stdout: result.stdout,
+    stderr: result.stderr
+  };
+}
+
+// The run of a command that failed out of our sight, as run() would have reported it: a base
+// command missing from PATH counts as "command not found".
+function assumeFailure(command, output = '', code = 1) {
+  const notFound = !/[\\/]/.test(command) && !getPathCommands().has(command);
+  return { code, signal: null, stdout: '', stderr: output, error: notFound ? { code: 'ENOENT' } : null };
+}
+
+// Plans a fix for a command that already failed with `output`, without running anything.
+function suggest(argv, { cwd, env, output = '' } = {}) {
+  const warnings = [];
+  return withContext({ cwd, env, warnings }, () => {
+    const command = normalizePowerShellGetPrefix(argv[0]);
+    const args = argv.slice(1);
+    const firstRun = assumeFailure(command, output);
+    const candidates = [];
+    const fix = getSettings().enabled ? planCorrections(command, args, firstRun, candidates) : null;
+    return { fix, candidates: rankSuggestions(candidates), warnings };
+  });
+}
+
+// main() without its side effects: output is captured unless `echo`, nothing is asked, and
+// the outcome is returned instead of exiting. Fixes the policy marks "confirm" are reported
+// but not run, and typosquatGuard=block refuses the install, typed or made by the fix.
+function correctAndRun(argv, { cwd, env, echo = false } = {}) {
+  const warnings = [];
+  return inContext({ cwd, env, warnings }, async () => {
+    const result = {
+      argv,
+      typosquats: [],
+      blocked: false,
+      firstRun: null,
+      fix: null,
+      corrected: null,
+      code: 1,
+      signal: null,
+      warnings
+    };
+    const settings = getSettings();
+    const command = settings.enabled ? normalizePowerShellGetPrefix(argv[0]) : argv[0];
+    const args = argv.slice(1);
+    if (settings.enabled && settings.typosquatGuard !== 'off') result.typosquats = findTyposquats(command, args);
+    if (result.typosquats.length && settings.typosquatGuard === 'block') {
+      result.blocked = true;
+      return result;
+    }
+    const firstRun = await run(command, args, { echo });
+    result.firstRun = summarizeRun(firstRun);
+    const failed = !firstRun.signal && (result.firstRun.notFound || firstRun.code !== 0 || isSoftFailure(command, firstRun));
+    if (settings.enabled && failed) result.fix = planCorrections(command, args, firstRun);
+    if (result.fix && settings.typosquatGuard !== 'off' && changesPackages(command, args, result.fix)) {
+      const suspects = findTyposquats(result.fix.command, result.fix.args);
+      result.typosquats.push(...suspects);
+      result.blocked = suspects.length > 0 && settings.typosquatGuard === 'block';
+    }
+    if (result.fix && !result.fix.confirm && !result.blocked) {
+      const corrected = await run(result.fix.command, result.fix.args, { echo });
+      for (const step of result.fix.steps || [result.fix]) {
+        history.recordCorrection(step, corrected, { cwd: getCwd() });
+      }
+      result.corrected = summarizeRun(corrected);
+    }
+    const last = result.corrected || result.firstRun;
+    result.code = last.code;
+    result.signal = last.signal;
+    return result;
+  });
+}
+
+function formatExplainReport(report) {
+  const lines = [`command: ${report.argv.join(' ')}`];
+  if (report.disabled) {
+    lines.push('corrections are disabled for this directory (enabled=false)');
+    return `${lines.join('\n')}\n`;
+  }
+  if (report.blocked) {
+    for (const item of report.typosquats) {
+      lines.push(`typosquat warning: "${item.name}" looks like popular package "${item.similarTo}" (distance ${item.distance})`);
+    }
+    lines.push('not run: explain does not install lookalike package names');
+    return `${lines.join('\n')}\n`;
+  }
+  if (report.refused) {
+    lines.push(`not executed: the risk policy does not mark it safe (${report.refused})`);
+    lines.push('pass its captured output with --output-file to explain it');
+    return `${lines.join('\n')}\n`;
+  }
+  const { firstRun } = report;
+  const outcome = firstRun.notFound ? 'command not found' : `exit ${firstRun.code}`;
+  lines.push(report.executed ? `first run: executed once to read its error, ${outcome}` : `first run: not executed, given output (${outcome})`);
+  if (report.candidates.length) {
+    lines.push('candidates:');
+    for (const item of report.candidates) {
+      const origin = item.source ? `${item.corrector} (${item.source})` : item.corrector;
+      const distance = item.distance === null ? '' : `  distance ${item.distance}`;
+      const confidence = typeof item.confidence === 'number' ? `  confidence ${item.confidence}` : '';
+      const verdict = item.rejected ? `rejected: ${item.rejected}` : 'accepted';
+      lines.push(`  ${origin}  ${item.candidate}${distance}${confidence}  ${verdict}`);
+    }
+  } else {
+    lines.push('candidates: none');
+  }
+  const confirm = report.fix && report.fix.confirm ? `, needs confirmation: ${report.fix.confirm}` : '';
+  lines.push(
+    report.fix
+      ? `decision: "${report.fix.from}" -> "${report.fix.to}" (${report.fix.corrector}${confirm})`
+      : 'decision: no correction'
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+const EXPLAIN_USAGE = [
+  'Usage: fuzzrun explain [--json] [--output-file <file>] <command> [args...]',
+  '',
+  'Shows every candidate fix for the command and why it was taken or rejected. No fix is run,',
+  'but the command itself is executed once to read its error, unless --output-file gives its',
+  'captured stderr/stdout instead ("-" reads them from stdin). The report says which happened.',
+  'A command the risk policy does not mark safe is never executed; it needs --output-file.',
+  ''
+].join('\n');
+
+function readExplainOutput(file) {
+  try {
+    return fs.readFileSync(file === '-' ? process.stdin.fd : file, 'utf8');
+  } catch (err) {
+    process.stderr.write(`fuzzrun: cannot read ${file}: ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+async function runExplainCommand(args) {
+  let json = false;
+  let output = null;
+  let index = 0;
+  for (; index < args.length && args[index].startsWith('-'); index += 1) {
+    const arg = args[index];
+    if (arg === '--help' || arg === '-h') {
+      process.stdout.write(EXPLAIN_USAGE);
+      process.exit(0);
+    } else if (arg === '--json') {
+      json = true;
+    } else if (arg === '--output-file' && index + 1 < args.length) {
+      index += 1;
+      output = readExplainOutput(args[index]);
+    } else if (arg.startsWith('--output-file=')) {
+      output = readExplainOutput(arg.slice('--output-file='.length));
+    } else {
+      break;
+    }
+  }
+  const argv = args.slice(index);
   if (!argv.length) {
-    process.stderr.write('Usage: fuzzrun <command> [args...]\n');
+    process.stderr.write(EXPLAIN_USAGE);
     process.exit(1);
   }
+  const report = await inContext({ forwardSignals: true }, () => planExplanation(argv, output));
+  process.stdout.write(json ? `${JSON.stringify(report, null, 2)}\n` : formatExplainReport(report));
+  process.exit(0);
+}
 
-  showInstallBannerOnce();
+function isKnownCommand(token) {
+  return (
+    getPathCommands().has(token) ||
+    Object.prototype.hasOwnProperty.call(COMMON_SUBCOMMANDS, token) ||
+    tasks.RUNNERS.some((runner) => runner.bases.includes(token))
+  );
+}
+
+// Splits pin/ban arguments into the typo, keyed the way its corrector shows it, and the fix:
+// `gti git`, `git stauts status`, `npm run biuld build`, `git checkout mian main`.
+// A quoted typo ("git stauts") is taken as-is.
+function parseOverrideArgs(args) {
+  if (!args.length) return null;
+  if (args[0].includes(' ')) {
+    return { typo: args[0].trim().split(/\s+/).join(' '), fix: args[1] || null, extra: args.slice(2) };
+  }
+  const [first, second] = args;
+  let size = 1;
+  if (args.length > 1 && isKnownCommand(first)) {
+    const threeTokens =
+      (SCRIPT_BASES.has(first) && second === 'run') ||
+      (first === 'git' && GIT_REF_SUBCOMMANDS.has(second)) ||
+      tasks.isTargetPrefix(first, second);
+    size = threeTokens ? 3 : 2;
+  }
+  // `git commit --ammend`: a long option ends the typo.
+  const flagIndex = args.findIndex((arg) => arg.startsWith('--'));
+  if (flagIndex > 0) size = flagIndex + 1;
+  if (size > args.length) return null;
+  return { typo: args.slice(0, size).join(' '), fix: args[size] || null, extra: args.slice(size + 1) };
+}
+
+function runPinCommand(action, args) {
+  if (action === 'pin' && !args.length) {
+    const { pins } = overrides.readOverrides();
+    const typos = Object.keys(pins);
+    if (!typos.length) process.stdout.write('No pinned corrections.\n');
+    for (const typo of typos) process.stdout.write(`${typo} -> ${pins[typo]}\n`);
+    process.exit(0);
+  }
+  let parsed = parseOverrideArgs(args);
+  // `pin sl ls`: a real command can still be a base-level typo.
+  if (action === 'pin' && parsed && !parsed.fix && args.length === 2) {
+    parsed = { typo: args[0], fix: args[1], extra: [] };
+  }
+  const needsFix = action === 'pin';
+  if (!parsed || parsed.extra.length || (needsFix && !parsed.fix) || (action === 'unpin' && parsed.fix)) {
+    process.stderr.write(`Usage: fuzzrun ${action} <typo...>${needsFix ? ' <fix>' : ''}\n`);
+    process.exit(1);
+  }
+  if (action === 'pin') {
+    overrides.pin(parsed.typo, parsed.fix);
+    process.stdout.write(`Pinned "${parsed.typo}" -> "${parsed.fix}".\n`);
+  } else {
+    overrides.unpin(parsed.typo);
+    process.stdout.write(`Unpinned "${parsed.typo}".\n`);
+  }
+  process.exit(0);
+}
+
+function runBanCommand(action, args) {
+  if (action === 'ban' && !args.length) {
+    const { bans } = overrides.readOverrides();
+    const typos = Object.keys(bans);
+    if (!typos.length) process.stdout.write('No banned corrections.\n');
+    for (const typo of typos) process.stdout.write(`${typo} -/-> ${bans[typo].join(', ')}\n`);
+    process.exit(0);
+  }
+  const parsed = parseOverrideArgs(args);
+  if (!parsed || parsed.extra.length) {
+    process.stderr.write(`Usage: fuzzrun ${action} <typo...> [<fix>]\n`);
+    process.exit(1);
+  }
+  const target = parsed.fix ? `"${parsed.fix}"` : 'any fix';
+  if (action === 'ban') {
+    overrides.ban(parsed.typo, parsed.fix || overrides.BAN_ALL);
+    process.stdout.write(`Banned ${target} for "${parsed.typo}".\n`);
+  } else {
+    overrides.unban(parsed.typo, parsed.fix);
+    process.stdout.write(`Unbanned ${target} for "${parsed.typo}".\n`);
+  }
+  process.exit(0);
+}
+
+// Called by the shell's cd wrapper after the builtin failed, since cd never reaches fuzzrun
+// itself. Prints the directory to change to, or exits 1 to let the builtin report the error.
+function runCdCommand(args) {
+  if (args.length !== 1 || !getSettings().enabled) process.exit(1);
+  const fix = planPathFix('cd', args, 0, null, { directoriesOnly: true });
+  if (!fix) process.exit(1);
+  logFix(fix.from, fix.to);
+  history.recordCorrection(fix, { code: 0 });
+  // A quoted ~ reaches us unexpanded, and the shell won't expand it in the output either.
+  process.stdout.write(`${fix.candidate.replace(/^~(?=$|[\\/])/, os.homedir())}\n`);
+  process.exit(0);
+}
 
-  const action = argv[0];
+// The check a line-editor widget runs before accepting a buffer (see installer.js): only the
+// base command and subcommand of its first simple command, against the PATH index and the
+// subcommand dictionaries, so nothing is run. `known` is set when the shell itself resolves the
+// base (an alias, function or builtin), which then is left as typed. Returns the fix and the
+// corrected buffer, or null when there is nothing to change.
+function planLineFix(buffer, { known = false } = {}) {
+  const words = line.parseLine(buffer);
+  if (!words || !words[0].plain || words[0].value.includes('=')) return null;
+  const argv = words.map((word) => word.value);
+  const fixes = [];
+  let current = { command: argv[0], args: argv.slice(1) };
+  if (!known && !/[\\/]/.test(current.command) && !getPathCommands().has(current.command)) {
+    const base = tryBaseCorrection(current.command, current.args);
+    if (!base) return null;
+    fixes.push(base);
+    current = base;
+  }
+  if (words.length > 1 && words[1].plain) {
+    const subcommand = trySubcommandCorrection(current.command, current.args, null);
+    if (subcommand) fixes.push(subcommand);
+  }
+  const fix = combineFixes(argv[0], argv.slice(1), fixes);
+  if (!fix) return null;
+  const fixed = [fix.command, ...fix.args];
+  // Only the first two words are ever rewritten; the rest of the buffer stays as typed.
+  const replacements = fixed.map((value, index) => (value === argv[index] ? undefined : value));
+  if (fixed.length !== argv.length || replacements.slice(2).some((value) => value !== undefined)) return null;
+  return { fix, buffer: line.rewriteLine(buffer, words, replacements) };
+}
+
+// `fuzzrun line [--known] -- <buffer>` prints the corrected buffer and exits 0, or 2 when the
+// fix needs confirmation (the widget then shows it without running it); 1 means no change.
+function runLineCommand(args) {
+  const known = args[0] === '--known';
+  const rest = known ? args.slice(1) : args;
+  const buffer = rest[0] === '--' ? rest[1] : rest[0];
+  if (typeof buffer !== 'string' || !getSettings().enabled) process.exit(1);
+  const planned = planLineFix(buffer, { known });
+  if (!planned) process.exit(1);
+  // Nothing has run yet (and a confirm may still be rejected), so the widget records no history.
+  process.stdout.write(`${planned.buffer}\n`);
+  process.exit(planned.fix.confirm ? 2 : 0);
+}
+
+// The previous command is run again to read its error only when it is known to have failed
+// and no policy covers it; a line from the history file, whose outcome is unknown, only
+// after a "y".
+function shouldReplay(last, command, args) {
+  if (classifyRisk(command, args).level !== 'safe') return false;
+  if (last.status !== null) return true;
+  if (!isInteractive()) return false;
+  process.stderr.write(`fuzzrun: run "${last.line}" again to read its error? [y/N] `);
+  const key = readKey();
+  process.stderr.write('\n');
+  return key === 'y';
+}
+
+// `fuzzrun last` fixes the shell's previous command, wrapped or not: the shell hook (or the
+// history file) names it, a replay captures its error, and the fix goes through the same
+// pipeline and policies as any other. Without a replay only the dictionaries are checked.
+async function runLastCommand() {
+  if (!getSettings().enabled) {
+    process.stderr.write('fuzzrun: corrections are disabled for this directory (enabled=false)\n');
+    process.exit(1);
+  }
+  const last = lastcommand.getLastCommand(getEnv());
+  if (!last) {
+    process.stderr.write('fuzzrun: no previous command found; restart your shell after "fuzzrun enable"\n');
+    process.exit(1);
+  }
+  const argv = line.parseCommandLine(last.line);
+  if (last.status === 0 || (argv && normalizeToken(argv[0]) === 'fuzzrun')) {
+    process.stderr.write(`fuzzrun: nothing to fix in "${last.line}"\n`);
+    process.exit(1);
+  }
+  if (!argv) {
+    process.stderr.write(`fuzzrun: cannot replay "${last.line}": only a single command without pipes or expansions can be fixed\n`);
+    process.exit(1);
+  }
+  const command = normalizePowerShellGetPrefix(argv[0]);
+  const args = argv.slice(1);
+  let firstRun = assumeFailure(command, '', last.status || 1);
+  // 127 is the shell's "command not found"; any other status came from an alias, function or builtin.
+  if (firstRun.error && last.status !== null && last.status !== 127) {
+    process.stderr.write(`fuzzrun: cannot replay "${last.line}": ${command} is not a program on PATH\n`);
+    process.exit(1);
+  }
+  if (!firstRun.error && shouldReplay(last, command, args)) {
+    firstRun = await run(command, args, { echo: false });
+    if (firstRun.signal || firstRun.interrupted) exitWith(firstRun);
+    if (firstRun.code === 0 && !isSoftFailure(command, firstRun)) {
+      process.stdout.write(firstRun.stdout);
+      process.stderr.write(`${firstRun.stderr}fuzzrun: "${last.line}" succeeds now; nothing to fix\n`);
+      process.exit(0);
+    }
+  }
+  const fix = planCorrections(command, args, firstRun, [], { offer: true });
+  if (fix && confirmRiskyFix(fix)) {
+    if (!guardFixInstall(command, args, fix)) process.exit(1);
+    exitWith(await runFix(fix));
+  }
+  if (!fix) process.stderr.write(`fuzzrun: no correction found for "${last.line}"\n`);
+  process.exit(1);
+}
+
+function runHistoryCommand(args) {
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex === -1 ? 20 : Math.max(1, Number(args[limitIndex + 1]) || 20);
+  const entries = history.readHistory().slice(-limit);
+  if (!entries.length) {
+    process.stdout.write('No corrections recorded yet.\n');
+  }
+  for (const entry of entries) {
+    process.stdout.write(`${entry.ts}  ${entry.from} -> ${entry.to}  (${entry.corrector}, exit ${entry.exitCode})  ${entry.cwd}\n`);
+  }
+  process.exit(0);
+}
+
+function formatRate(succeeded, count) {
+  return count ? `${Math.round((succeeded / count) * 100)}%` : 'n/a';
+}
+
+function runStatsCommand() {
+  const summary = history.summarize();
+  process.stdout.write(
+    `corrections: ${summary.total}, succeeded: ${summary.succeeded} (${formatRate(summary.succeeded, summary.total)})\n`
+  );
+  if (summary.correctors.length) {
+    process.stdout.write('by corrector:\n');
+    for (const item of summary.correctors) {
+      process.stdout.write(`  ${item.corrector}: ${item.count} (${formatRate(item.succeeded, item.count)} succeeded)\n`);
+    }
+  }
+  if (summary.topTypos.length) {
+    process.stdout.write('top typos:\n');
+    for (const item of summary.topTypos.slice(0, 10)) {
+      process.stdout.write(`  ${item.from} -> ${item.to}: ${item.count} (${formatRate(item.succeeded, item.count)} succeeded)\n`);
+    }
+  }
+  process.exit(0);
+}
+
+function parseShellOption(args) {
+  const index = args.findIndex((arg) => arg === '--shell' || arg.startsWith('--shell='));
+  if (index === -1) return undefined;
+  const value = args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+  if (!value) {
+    process.stderr.write('fuzzrun: --shell needs a shell name\n');
+    process.exit(1);
+  }
+  return value;
+}
+
+function runInstallerCommand(action, args) {
+  const options = { shell: parseShellOption(args) };
+  // lineEditor is global-only (see config.js): a repository's .fuzzrunrc never edits a shell profile.
+  if (action === 'enable') options.lineEditor = args.includes('--line-editor') || getSettings().lineEditor;
+  let results;
+  try {
+    results = installer[action](options);
+  } catch (err) {
+    process.stderr.write(`fuzzrun: ${err.message}\n`);
+    process.exit(1);
+  }
+  if (action === 'status') {
+    for (const item of results) {
+      process.stdout.write(`${item.enabled ? 'enabled' : 'disabled'}: ${item.path} (${item.shell})\n`);
+    }
+    process.exit(0);
+  }
+  const updated = results.some((item) => item.updated);
   if (action === 'enable') {
-    const results = installer.enable({});
-    const updated = results.some((item) => item.updated);
     process.stdout.write(updated ? 'FuzzRun enabled. Restart your shell to apply changes.\n' : 'FuzzRun already enabled.\n');
     updateState({ disabled: false, enableSucceeded: true });
-    process.exit(0);
-  }
-  if (action === 'disable') {
-    const results = installer.disable();
-    const updated = results.some((item) => item.updated);
+  } else {
     process.stdout.write(updated ? 'FuzzRun disabled. Restart your shell to apply changes.\n' : 'FuzzRun already disabled.\n');
     updateState({ disabled: true });
+  }
+  process.exit(0);
+}
+
+function runRulesCommand() {
+  for (const rule of getCorrectionRules()) {
+    const mode = rule.autoRun ? 'auto-run' : 'suggest only';
+    process.stdout.write(`${rule.name}  priority ${rule.priority}  ${mode}  (${rule.source})\n`);
+  }
+  process.exit(0);
+}
+
+// `fuzzrun policy` lists the risk policies; `fuzzrun policy <command...>` shows the verdict for one argv.
+function runPolicyCommand(args) {
+  if (!args.length) {
+    for (const item of getSettings().policies) {
+      process.stdout.write(`${item.level}  ${policy.describePolicy(item)}  (${item.source})\n`);
+    }
     process.exit(0);
   }
-  if (action === 'status') {
-    const results = installer.status();
-    for (const item of results) {
-      process.stdout.write(`${item.enabled ? 'enabled' : 'disabled'}: ${item.path}\n`);
+  const verdict = classifyRisk(normalizePowerShellGetPrefix(args[0]), args.slice(1));
+  const detail = verdict.policy ? `${policy.describePolicy(verdict.policy)} (${verdict.policy.source})` : 'no policy matches';
+  process.stdout.write(`${verdict.level}: ${detail}\n`);
+  process.exit(0);
+}
+
+function runCacheCommand(args) {
+  const sub = args[0] || 'list';
+  if (sub === 'rebuild') {
+    for (const item of discovery.rebuildCache()) {
+      const detail = item.binPath ? `${item.count} subcommands (${item.binPath})` : 'not found on PATH';
+      process.stdout.write(`${item.base}: ${detail}\n`);
+    }
+    const commands = pathIndex.getCommands({ force: true });
+    process.stdout.write(`PATH index: ${commands.size} commands (${pathIndex.getIndexPath()})\n`);
+    process.exit(0);
+  }
+  if (sub === 'clear') {
+    discovery.clearCache();
+    pathIndex.clearIndex();
+    kube.clearCache();
+    process.stdout.write(`Cleared ${discovery.getCachePath()}\n`);
+    process.stdout.write(`Cleared ${pathIndex.getIndexPath()}\n`);
+    process.stdout.write(`Cleared ${kube.getCachePath()}\n`);
+    process.exit(0);
+  }
+  if (sub === 'list') {
+    const stats = pathIndex.getStats();
+    process.stdout.write(
+      stats.dirs
+        ? `PATH index: ${stats.commands} commands in ${stats.dirs} of ${stats.pathDirs} PATH directories, ${stats.stale} stale (${stats.path})\n`
+        : 'PATH index is empty; it is built on the first base-command correction.\n'
+    );
+    const cache = discovery.readCache();
+    const bases = Object.keys(cache);
+    if (!bases.length) {
+      process.stdout.write('Subcommand cache is empty.\n');
+    }
+    for (const base of bases) {
+      const entry = cache[base];
+      process.stdout.write(`${base}: ${entry.subcommands.length} subcommands (${entry.binPath})\n`);
     }
     process.exit(0);
   }
+  process.stderr.write('Usage: fuzzrun cache [list|rebuild|clear]\n');
+  process.exit(1);
+}
+
+function formatConfigValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function runConfigCommand(args) {
+  const sub = args[0] || 'list';
+  const loaded = config.loadConfig({ cwd: process.cwd(), env: process.env });
+  if (sub === 'list') {
+    for (const key of Object.keys(config.SCHEMA)) {
+      const source = config.describeSource(loaded.sources[key]);
+      process.stdout.write(`${key} = ${formatConfigValue(loaded.values[key])} (${source})\n`);
+    }
+    process.exit(0);
+  }
+  if (sub === 'get') {
+    const key = args[1];
+    if (!key || !(key in config.SCHEMA)) {
+      process.stderr.write(`fuzzrun: unknown config key: ${key || ''}\n`);
+      process.exit(1);
+    }
+    const source = config.describeSource(loaded.sources[key]);
+    process.stdout.write(`${formatConfigValue(loaded.values[key])} (${source})\n`);
+    process.exit(0);
+  }
+  if (sub === 'set') {
+    const project = args.includes('--project');
+    const [key, value] = args.slice(1).filter((arg) => arg !== '--project');
+    if (!key || typeof value === 'undefined') {
+      process.stderr.write('Usage: fuzzrun config set <key> <value> [--project]\n');
+      process.exit(1);
+    }
+    try {
+      const result = config.setValue(key, value, { project, cwd: process.cwd() });
+      process.stdout.write(`${key} = ${formatConfigValue(result.value)} (written to ${result.path})\n`);
+      process.exit(0);
+    } catch (err) {
+      process.stderr.write(`fuzzrun: ${err.message}\n`);
+      process.exit(1);
+    }
+  }
+  process.stderr.write('Usage: fuzzrun config <get|set|list> [key] [value] [--project]\n');
+  process.exit(1);
+}
+
+async function main() {
+  let argv = process.argv.slice(2);
+  // `fuzzrun run -- <command...>`, which the command-not-found hooks call, never reads the
+  // first word as a verb: `pin install requests` is a mistyped pip, not `fuzzrun pin`.
+  const direct = argv[0] === 'run';
+  if (direct) argv = argv.slice(argv[1] === '--' ? 2 : 1);
+  if (!argv.length) {
+    process.stderr.write('Usage: fuzzrun <command> [args...]\n');
+    process.exit(1);
+  }
+
+  showInstallBannerOnce();
+
+  const action = direct ? null : argv[0];
+  if (action === 'enable' || action === 'disable' || action === 'status') {
+    runInstallerCommand(action, argv.slice(1));
+  }
+  if (action === 'config') {
+    runConfigCommand(argv.slice(1));
+  }
+  if (action === 'pin' || action === 'unpin') {
+    runPinCommand(action, argv.slice(1));
+  }
+  if (action === 'ban' || action === 'unban') {
+    runBanCommand(action, argv.slice(1));
+  }
+  if (action === 'history') {
+    runHistoryCommand(argv.slice(1));
+  }
+  if (action === 'cd') {
+    runCdCommand(argv.slice(1));
+  }
+  if (action === 'line') {
+    runLineCommand(argv.slice(1));
+  }
+  if (action === 'stats') {
+    runStatsCommand();
+  }
+  if (action === 'rules') {
+    runRulesCommand();
+  }
+  if (action === 'policy') {
+    runPolicyCommand(argv.slice(1));
+  }
+  if (action === 'cache') {
+    runCacheCommand(argv.slice(1));
+  }
+  if (action === 'explain') {
+    await runExplainCommand(argv.slice(1));
+  }
+  if (action === 'last') {
+    await runLastCommand();
+  }
 
   const state = readState() || {};
   if (!state.disabled && process.env.FUZZRUN_SKIP_ENABLE !== '1') {
@@ -539,7 +2276,7 @@ function main() {
       const status = installer.status();
       const anyEnabled = status.some((item) => item.enabled);
       if (!anyEnabled) {
-        const results = installer.enable({});
+        const results = installer.enable({ lineEditor: getSettings().lineEditor });
         const updated = results.some((item) => item.updated);
         if (updated) {
           process.stdout.write('FuzzRun auto-enabled. Restart your shell to apply changes.\n');
@@ -552,77 +2289,39 @@ function main() {
 
   let baseCommand = argv[0];
   const rest = argv.slice(1);
-  baseCommand = normalizePowerShellGetPrefix(baseCommand);
-  const firstRun = run(baseCommand, rest);
-
-  if (firstRun.error && firstRun.error.code === 'ENOENT') {
-    const corrected = tryBaseCorrection(baseCommand, rest);
-    if (corrected) {
-      const { result } = corrected;
-      if (result.code !== 0) {
-        const combinedOutput = `${result.stderr}\n${result.stdout}`;
-        const correctedSub = trySubcommandCorrection(corrected.command, corrected.args, combinedOutput);
-        if (correctedSub) {
-          process.stdout.write(correctedSub.stdout);
-          process.stderr.write(correctedSub.stderr);
-          process.exit(correctedSub.code);
-        }
-        const correctedScript = tryScriptCorrection(corrected.command, corrected.args, combinedOutput);
-        if (correctedScript) {
-          process.stdout.write(correctedScript.stdout);
-          process.stderr.write(correctedScript.stderr);
-          process.exit(correctedScript.code);
-        }
-        const correctedBranch = tryGitBranchCorrection(corrected.command, corrected.args, combinedOutput);
-        if (correctedBranch) {
-          process.stdout.write(correctedBranch.stdout);
-          process.stderr.write(correctedBranch.stderr);
-          process.exit(correctedBranch.code);
-        }
-      }
-      process.stdout.write(result.stdout);
-      process.stderr.write(result.stderr);
-      process.exit(result.code);
+  if (!getSettings().enabled) {
+    const passthrough = await run(baseCommand, rest, { capture: false });
+    if (passthrough.error && passthrough.error.code === 'ENOENT') {
+      process.stderr.write(`fuzzrun: command not found: ${baseCommand}\n`);
     }
-    process.stderr.write(`fuzzrun: command not found: ${baseCommand}\n`);
-    process.exit(firstRun.code);
+    exitWith(passthrough);
   }
-
-  if (firstRun.code === 0) {
-    process.stdout.write(firstRun.stdout);
-    process.stderr.write(firstRun.stderr);
-    process.exit(0);
+  baseCommand = normalizePowerShellGetPrefix(baseCommand);
+  if (!guardPackageInstall(baseCommand, rest)) {
+    process.exit(1);
   }
-
-  const combinedOutput = `${firstRun.stderr}\n${firstRun.stdout}`;
-  const correctedSub = trySubcommandCorrection(baseCommand, rest, combinedOutput);
-  if (correctedSub) {
-    process.stdout.write(correctedSub.stdout);
-    process.stderr.write(correctedSub.stderr);
-    process.exit(correctedSub.code);
+  const firstRun = await run(baseCommand, rest);
+  const notFound = Boolean(firstRun.error && firstRun.error.code === 'ENOENT');
+  // A command cut short by a signal did not fail on a typo; it ends the way it ended.
+  if (firstRun.signal || firstRun.interrupted) exitWith(firstRun);
+  if (!notFound && firstRun.code === 0 && !isSoftFailure(baseCommand, firstRun)) {
+    exitWith(firstRun);
   }
 
-  const correctedScript = tryScriptCorrection(baseCommand, rest, combinedOutput);
-  if (correctedScript) {
-    process.stdout.write(correctedScript.stdout);
-    process.stderr.write(correctedScript.stderr);
-    process.exit(correctedScript.code);
+  const fix = planCorrections(baseCommand, rest, firstRun, [], { offer: true });
+  if (fix && confirmRiskyFix(fix)) {
+    if (!guardFixInstall(baseCommand, rest, fix)) process.exit(1);
+    exitWith(await runFix(fix));
   }
-
-  const correctedBranch = tryGitBranchCorrection(baseCommand, rest, combinedOutput);
-  if (correctedBranch) {
-    process.stdout.write(correctedBranch.stdout);
-    process.stderr.write(correctedBranch.stderr);
-    process.exit(correctedBranch.code);
+  if (notFound) {
+    process.stderr.write(`fuzzrun: command not found: ${baseCommand}\n`);
+    process.exit(firstRun.code);
   }
-
-  process.stdout.write(firstRun.stdout);
-  process.stderr.write(firstRun.stderr);
-  process.exit(firstRun.code);
+  exitWith(firstRun);
 }
 
 if (require.main === module) {
   main();
 }
 
-module.exports = { main };
+module.exports = { main, explain, suggest, correctAndRun, findBestMatch, damerauLevenshtein };
@@ -0,0 +1,225 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keyboard = require('./keyboard');
+
+const PROJECT_FILE = '.fuzzrunrc';
+
+// Known settings. Values are resolved in layers: built-in default, then the
+// global config file, then the nearest project .fuzzrunrc, then env vars.
+// `globalOnly` settings loosen what gets matched or installed, so a .fuzzrunrc in a
+// cloned repository may not set them; they come from the global file or env only.
+// `union` lists only ever grow: each layer adds to them, so none can drop an entry.
+// `projectValues` are the only values a .fuzzrunrc may set: it can turn FuzzRun off, not back on.
+const SCHEMA = {
+  enabled: { type: 'boolean', default: true, projectValues: [false] },
+  maxDistance: { type: 'number', default: 1, env: 'FUZZRUN_MAX_DISTANCE', globalOnly: true },
+  maxDistanceByBase: { type: 'map', default: {}, globalOnly: true },
+  maxCorrections: { type: 'number', default: 3, env: 'FUZZRUN_MAX_CORRECTIONS', globalOnly: true },
+  minConfidence: { type: 'ratio', default: 0.5, env: 'FUZZRUN_MIN_CONFIDENCE', globalOnly: true },
+  keyboardLayout: { type: 'choice', choices: Object.keys(keyboard.LAYOUTS), default: 'qwerty', env: 'FUZZRUN_KEYBOARD_LAYOUT' },
+  preferBases: { type: 'list', default: [], env: 'FUZZRUN_PREFER_BASES', globalOnly: true },
+  dangerousBases: { type: 'list', default: [], union: true },
+  riskyArgPatterns: { type: 'list', default: [], union: true },
+  allowAnySubcommands: { type: 'boolean', default: false, env: 'FUZZRUN_ALLOW_ANY_SUBCOMMANDS', globalOnly: true },
+  confirm: { type: 'boolean', default: false, env: 'FUZZRUN_CONFIRM' },
+  forceCLocale: { type: 'boolean', default: true, env: 'FUZZRUN_FORCE_C_LOCALE' },
+  lineEditor: { type: 'boolean', default: false, env: 'FUZZRUN_LINE_EDITOR', globalOnly: true },
+  typosquatGuard: {
+    type: 'choice',
+    choices: ['warn', 'block', 'off'],
+    default: 'warn',
+    env: 'FUZZRUN_TYPOSQUAT_GUARD',
+    globalOnly: true
+  },
+  trustedPackages: { type: 'list', default: [], globalOnly: true }
+};
+
+function getGlobalConfigPath() {
+  return path.join(os.homedir(), '.fuzzrun', 'config.json');
+}
+
+function findProjectConfig(startDir) {
+  let current = startDir;
+  while (current && current !== path.dirname(current)) {
+    const candidate = path.join(current, PROJECT_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    current = path.dirname(current);
+  }
+  return null;
+}
+
+function readConfigFile(filePath) {
+  if (!filePath) return null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const lowered = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(lowered)) return true;
+  if (['0', 'false', 'no', 'off', ''].includes(lowered)) return false;
+  return undefined;
+}
+
+function parseNumber(value) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number)) return undefined;
+  return Math.max(1, Math.floor(number));
+}
+
+function parseRatio(value) {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number) || number < 0 || number > 1) return undefined;
+  return number;
+}
+
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+function parseMap(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+  const result = {};
+  for (const [key, entry] of Object.entries(value)) {
+    const number = parseNumber(entry);
+    if (typeof number === 'number') result[key.toLowerCase()] = number;
+  }
+  return result;
+}
+
+function coerce(key, value) {
+  const spec = SCHEMA[key];
+  if (!spec || typeof value === 'undefined') return undefined;
+  switch (spec.type) {
+    case 'boolean':
+      return parseBoolean(value);
+    case 'number':
+      return parseNumber(value);
+    case 'ratio':
+      return parseRatio(value);
+    case 'choice': {
+      const choice = String(value).trim().toLowerCase();
+      return spec.choices.includes(choice) ? choice : undefined;
+    }
+    case 'list': {
+      const list = parseList(value);
+      if (key === 'riskyArgPatterns' && !list.every(isValidPattern)) return undefined;
+      return list;
+    }
+    case 'map':
+      return parseMap(value);
+    default:
+      return undefined;
+  }
+}
+
+function isValidPattern(source) {
+  try {
+    new RegExp(source);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function getLayers({ cwd = process.cwd(), env = process.env } = {}) {
+  const globalPath = getGlobalConfigPath();
+  const projectPath = findProjectConfig(cwd);
+  const envValues = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    if (spec.env && typeof env[spec.env] !== 'undefined' && env[spec.env] !== '') {
+      envValues[key] = env[spec.env];
+    }
+  }
+  return [
+    { name: 'global', path: globalPath, values: readConfigFile(globalPath) || {} },
+    { name: 'project', path: projectPath, values: readConfigFile(projectPath) || {} },
+    { name: 'env', path: null, values: envValues }
+  ];
+}
+
+function loadConfig(options = {}) {
+  const values = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    values[key] = spec.default;
+    sources[key] = { name: 'default', path: null };
+  }
+  for (const layer of getLayers(options)) {
+    for (const [key, raw] of Object.entries(layer.values)) {
+      const value = coerce(key, raw);
+      if (typeof value === 'undefined') continue;
+      if (layer.name === 'project' && !allowedInProject(key, value)) continue;
+      if (SCHEMA[key].union && sources[key].name !== 'default') {
+        values[key] = [...new Set([...values[key], ...value])];
+        sources[key] = { name: `${sources[key].name} + ${layer.name}`, path: null };
+        continue;
+      }
+      values[key] = value;
+      sources[key] = { name: layer.name, path: layer.path };
+    }
+  }
+  return { values, sources };
+}
+
+function allowedInProject(key, value) {
+  const spec = SCHEMA[key];
+  return !spec.globalOnly && (!spec.projectValues || spec.projectValues.includes(value));
+}
+
+function describeSource(source) {
+  if (source.name === 'env') return 'env';
+  return source.path ? `${source.name}: ${source.path}` : source.name;
+}
+
+function setValue(key, rawValue, { project = false, cwd = process.cwd() } = {}) {
+  const [rootKey, subKey] = key.split('.');
+  const spec = SCHEMA[rootKey];
+  if (!spec) {
+    throw new Error(`unknown config key: ${rootKey}`);
+  }
+  if (subKey && spec.type !== 'map') {
+    throw new Error(`config key does not accept sub-keys: ${rootKey}`);
+  }
+  if (project && spec.globalOnly) {
+    throw new Error(`${rootKey} can only be set in the global config`);
+  }
+  const filePath = project ? findProjectConfig(cwd) || path.join(cwd, PROJECT_FILE) : getGlobalConfigPath();
+  const current = readConfigFile(filePath) || {};
+  let parsed = rawValue;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch (err) {
+    // Plain strings are fine; the schema coerces them.
+  }
+  const nextValue = subKey ? { ...(current[rootKey] || {}), [subKey]: parsed } : parsed;
+  const coerced = coerce(rootKey, nextValue);
+  if (typeof coerced === 'undefined' || (subKey && !(subKey.toLowerCase() in coerced))) {
+    throw new Error(`invalid value for ${key}: ${rawValue}`);
+  }
+  if (project && !allowedInProject(rootKey, coerced)) {
+    throw new Error(`${rootKey} can only be set to ${JSON.stringify(coerced)} in the global config`);
+  }
+  current[rootKey] = coerced;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(current, null, 2)}\n`, 'utf8');
+  return { path: filePath, value: coerced };
+}
+
+module.exports = {
+  SCHEMA,
+  loadConfig,
+  setValue,
+  describeSource,
+  findProjectConfig,
+  getGlobalConfigPath
+};
@@ -0,0 +1,235 @@
+'use strict';
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const messages = require('./messages');
+const store = require('./store');
+
+const PROBE_TIMEOUT_MS = 5000;
+
+// Where each CLI lists its subcommands, and how to read that listing.
+const HELP_SOURCES = {
+  git: { args: ['help', '-a'], parse: parseIndentedNames },
+  npm: { args: ['help'], parse: parseCommaList },
+  yarn: { args: ['--help'], parse: parseCommandSections },
+  pnpm: { args: ['--help'], parse: parseCommandSections },
+  pip: { args: ['help'], parse: parseCommandSections },
+  docker: { args: ['--help'], parse: parseCommandSections },
+  kubectl: { args: ['--help'], parse: parseCommandSections },
+  gh: { args: ['--help'], parse: parseCommandSections }
+};
+
+// Where each CLI prints a subcommand's options; `git <sub> --help` opens a man page instead.
+const OPTION_HELP_FLAGS = { git: '-h' };
+
+const COMMAND_LINE = /^\s+(?:-\s+)?([a-z][a-z0-9_-]*)\*?:?(?:,\s*[a-z][\w-]*)*(?:\s{2,}\S.*)?$/;
+
+function getCachePath() {
+  return path.join(store.getDataDir(), 'subcommands.json');
+}
+
+function readCache() {
+  const parsed = store.readJson(getCachePath(), {});
+  return parsed && typeof parsed === 'object' ? parsed : {};
+}
+
+function getOptionsCachePath() {
+  return path.join(store.getDataDir(), 'options.json');
+}
+
+function clearCache() {
+  try {
+    fs.rmSync(getCachePath(), { force: true });
+    fs.rmSync(getOptionsCachePath(), { force: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// `git help -a`: every indented name, across all of its sections.
+function parseIndentedNames(text) {
+  const names = [];
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s{2,}([a-z][a-z0-9_-]*)(?:\s{2,}\S.*)?$/);
+    if (match) names.push(match[1]);
+  }
+  return names;
+}
+
+// `npm help`: a comma-separated block after "All commands:".
+function parseCommaList(text) {
+  const lines = text.split(/\r?\n/);
+  const start = lines.findIndex((line) => /^\s*all commands:\s*$/i.test(line));
+  if (start === -1) return [];
+  const names = [];
+  for (const line of lines.slice(start + 1)) {
+    if (!line.trim()) {
+      if (names.length) break;
+      continue;
+    }
+    for (const item of line.split(',')) {
+      const name = item.trim();
+      if (/^[a-z][a-z0-9-]*$/.test(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+// docker/kubectl/gh/pip style: indented "name  description" lines under a "... commands" heading.
+function parseCommandSections(text) {
+  const names = [];
+  let inSection = false;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (!/^\s/.test(line)) {
+      inSection = /\bcommands?\b[^:]*:?\s*$/i.test(line);
+      continue;
+    }
+    if (!inSection) continue;
+    const match = line.match(COMMAND_LINE);
+    if (match) names.push(match[1]);
+  }
+  return names;
+}
+
+// Every long option mentioned in help text; git's `--[no-]verify` yields both spellings.
+function parseOptions(text) {
+  const names = [];
+  const pattern = /(?:^|[\s,|[(])--(\[no-\])?([a-z0-9][a-z0-9-]*)/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    names.push(`--${match[2]}`);
+    if (match[1]) names.push(`--no-${match[2]}`);
+  }
+  return names;
+}
+
+function resolveBinary(base, env = process.env) {
+  const entries = (env.PATH || '').split(path.delimiter).filter(Boolean);
+  const exts =
+    process.platform === 'win32'
+      ? (env.PATHEXT || '.COM;.EXE;.BAT;.CMD').toLowerCase().split(';').filter(Boolean)
+      : [''];
+  for (const entry of entries) {
+    for (const ext of exts) {
+      const candidate = path.join(entry, `${base}${ext}`);
+      try {
+        const stat = fs.statSync(candidate);
+        if (stat.isFile()) return fs.realpathSync(candidate);
+      } catch (err) {
+        // Not in this PATH entry.
+      }
+    }
+  }
+  return null;
+}
+
+function probe(base, args, { cwd = process.cwd(), env = process.env } = {}) {
+  // Help text is parsed, so it is asked for untranslated (see messages.getProbeEnv).
+  const result = spawnSync(base, args, {
+    encoding: 'utf8',
+    timeout: PROBE_TIMEOUT_MS,
+    cwd,
+    env: messages.getProbeEnv(env, cwd),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  if (result.error) return null;
+  return `${result.stdout || ''}\n${result.stderr || ''}`;
+}
+
+// What identifies one build of a binary. Upgrades often keep the mtime (npm packs every file
+// as 1985-10-26; dpkg and Homebrew keep the build's), but rewriting the file always moves its
+// ctime, and usually its size.
+function getStamp(binPath) {
+  const stat = fs.statSync(binPath);
+  return `${stat.mtimeMs}:${stat.ctimeMs}:${stat.size}`;
+}
+
+function harvest(base, binPath, context) {
+  const source = HELP_SOURCES[base];
+  const help = probe(base, source.args, context);
+  if (!help) return null;
+  const subcommands = [...new Set(source.parse(help))].sort();
+  if (!subcommands.length) return null;
+  return {
+    binPath,
+    stamp: getStamp(binPath),
+    subcommands,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+function isFresh(entry, binPath) {
+  if (!entry || entry.binPath !== binPath) return false;
+  try {
+    return getStamp(binPath) === entry.stamp;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Subcommands harvested from the CLI's own help, cached per binary and refreshed when the
+// binary changes (see getStamp). Falls back to the built-in list when the CLI cannot be probed. The binary is
+// looked up on, and probed with, the PATH and environment in `context` ({ cwd, env }).
+function getSubcommands(base, fallback = [], context = {}) {
+  if (!HELP_SOURCES[base]) return fallback;
+  const binPath = resolveBinary(base, context.env);
+  if (!binPath) return fallback;
+  const cached = readCache()[base];
+  if (isFresh(cached, binPath)) return cached.subcommands;
+  const entry = harvest(base, binPath, context);
+  if (!entry) return fallback;
+  store.updateJson(getCachePath(), (current) => ({ ...current, [base]: entry }));
+  return entry.subcommands;
+}
+
+// Long options for `base ...subcommands`, harvested from help output and cached per binary
+// like subcommands. The built-in list is always merged in. Only a subcommand the CLI's own
+// help listed is probed: `tool deploy --help` may well deploy when `deploy` is not one.
+function getOptions(base, subcommands = [], fallback = [], context = {}) {
+  const binPath = resolveBinary(base, context.env);
+  if (!binPath) return fallback;
+  if (subcommands.length && !getSubcommands(base, [], context).includes(subcommands[0])) return fallback;
+  const key = [base, ...subcommands].join(' ');
+  const cache = store.readJson(getOptionsCachePath(), {}) || {};
+  let entry = cache[key];
+  if (!isFresh(entry, binPath)) {
+    const help = probe(base, [...subcommands, OPTION_HELP_FLAGS[base] || '--help'], context);
+    const options = help ? [...new Set(parseOptions(help))].sort() : [];
+    if (!options.length) return fallback;
+    entry = { binPath, stamp: getStamp(binPath), options, updatedAt: new Date().toISOString() };
+    store.updateJson(getOptionsCachePath(), (current) => ({ ...current, [key]: entry }));
+  }
+  return [...new Set([...entry.options, ...fallback])];
+}
+
+function rebuildCache() {
+  const cache = {};
+  const results = [];
+  for (const base of Object.keys(HELP_SOURCES)) {
+    const binPath = resolveBinary(base);
+    const entry = binPath ? harvest(base, binPath) : null;
+    if (entry) cache[base] = entry;
+    results.push({ base, binPath, count: entry ? entry.subcommands.length : 0 });
+  }
+  store.updateJson(getCachePath(), () => cache);
+  return results;
+}
+
+module.exports = {
+  HELP_SOURCES,
+  getSubcommands,
+  getOptions,
+  rebuildCache,
+  clearCache,
+  readCache,
+  getCachePath,
+  getOptionsCachePath,
+  resolveBinary,
+  parseIndentedNames,
+  parseCommaList,
+  parseCommandSections,
+  parseOptions
+};
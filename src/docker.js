@@ -0,0 +1,159 @@
+'use strict';
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const messages = require('./messages');
+const tasks = require('./tasks');
+
+const PROBE_TIMEOUT_MS = 5000;
+
+// Searched upwards from cwd, like compose itself does, unless -f names the file.
+const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yaml', 'docker-compose.yml'];
+// Verbs that remove or kill something; their arguments are never rewritten.
+const REFUSED_VERBS = new Set(['rm', 'rmi', 'kill', 'prune']);
+// Verbs whose first argument is a container, an image or a compose service; checked in a
+// correction chain, where there is no error output to go by.
+const CONTAINER_VERBS = new Set(['attach', 'exec', 'logs', 'pause', 'port', 'restart', 'start', 'stats', 'stop', 'top', 'unpause', 'wait']);
+const IMAGE_VERBS = new Set(['create', 'history', 'push', 'run', 'save', 'tag']);
+const SERVICE_VERBS = new Set(['attach', 'build', 'create', 'exec', 'logs', 'pause', 'pull', 'restart', 'run', 'start', 'stop', 'top', 'unpause', 'up']);
+// Options that may sit between the verb and a checked name: `docker exec -it postgress sh`.
+const PLAIN_OPTIONS = /^(-[dfit]+|--detach|--follow|--interactive|--tty)$/;
+// Options before the verb that take the next argument as their value.
+const GLOBAL_VALUE_OPTIONS = /^(-f|--file|-p|--project-name|--project-directory|--env-file|--profile|-c|--context|-H|--host|-l|--log-level|--config)$/;
+
+const ERROR_PATTERNS = [
+  { kind: 'container', pattern: /No such container:\s*(\S+)/i },
+  { kind: 'image', pattern: /No such image:\s*(\S+)/i },
+  { kind: 'image', pattern: /Unable to find image '([^']+)' locally/i },
+  { kind: 'service', pattern: /no such service:\s*(\S+)/i }
+];
+
+function dockerLines(args, { cwd = process.cwd(), env = process.env } = {}) {
+  const result = spawnSync('docker', args, {
+    encoding: 'utf8',
+    timeout: PROBE_TIMEOUT_MS,
+    cwd,
+    env: messages.getProbeEnv(env, cwd),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  if (result.error || result.status !== 0) return [];
+  return (result.stdout || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+function getContainers(context = {}) {
+  return [...new Set(dockerLines(['ps', '-a', '--format', '{{.Names}}'], context).flatMap((line) => line.split(',')))];
+}
+
+// Local images as "repo:tag", plus the bare repo for arguments written without a tag.
+function getImages({ tagged = false, cwd, env } = {}) {
+  const names = [];
+  for (const line of dockerLines(['images', '--format', '{{.Repository}}:{{.Tag}}'], { cwd, env })) {
+    const colon = line.lastIndexOf(':');
+    const repo = line.slice(0, colon);
+    if (repo === '<none>') continue;
+    if (!tagged) {
+      names.push(repo);
+    } else if (line.slice(colon + 1) !== '<none>') {
+      names.push(line);
+    }
+  }
+  return [...new Set(names)];
+}
+
+function getServices(files, cwd = process.cwd()) {
+  const paths = files.length ? files.map((file) => path.resolve(cwd, file)) : [tasks.findUp(cwd, COMPOSE_FILES)];
+  const names = [];
+  for (const filePath of paths.filter(Boolean)) {
+    try {
+      names.push(...tasks.parseYamlKeys(fs.readFileSync(filePath, 'utf8'), 'services'));
+    } catch (err) {
+      // A missing or unreadable compose file lists no services.
+    }
+  }
+  return [...new Set(names)];
+}
+
+// Where the verb is in `docker [compose|container|image] [options] <verb>` and
+// `docker-compose <verb>`, and any compose files named with -f.
+function parseInvocation(command, args) {
+  const compose = command === 'docker-compose' || args[0] === 'compose';
+  let index = command === 'docker' && compose ? 1 : 0;
+  const files = [];
+  while (index < args.length && args[index].startsWith('-')) {
+    const arg = args[index];
+    if (compose && /^(-f|--file)$/.test(arg) && args[index + 1]) files.push(args[index + 1]);
+    if (compose && arg.startsWith('--file=')) files.push(arg.slice('--file='.length));
+    index += GLOBAL_VALUE_OPTIONS.test(arg) ? 2 : 1;
+  }
+  // `docker container logs`, `docker image push`: the group comes before the verb.
+  if (!compose && (args[index] === 'container' || args[index] === 'image')) index += 1;
+  return { compose, files, verbIndex: index < args.length ? index : -1 };
+}
+
+function getNames(kind, token, invocation) {
+  const { cwd, env } = invocation;
+  if (kind === 'container') return getContainers({ cwd, env });
+  if (kind === 'service') return getServices(invocation.files, cwd);
+  return getImages({ tagged: token.includes(':'), cwd, env });
+}
+
+// Without error output, only the first argument after a known verb is checked.
+function findUnknown(args, invocation) {
+  const verb = args[invocation.verbIndex];
+  let kind = null;
+  if (invocation.compose) {
+    kind = SERVICE_VERBS.has(verb) ? 'service' : null;
+  } else if (CONTAINER_VERBS.has(verb)) {
+    kind = 'container';
+  } else if (IMAGE_VERBS.has(verb)) {
+    kind = 'image';
+  }
+  if (!kind) return null;
+  let position = invocation.verbIndex + 1;
+  while (position < args.length && PLAIN_OPTIONS.test(args[position])) position += 1;
+  if (position >= args.length || args[position].startsWith('-')) return null;
+  const names = getNames(kind, args[position], invocation);
+  if (!names.length || names.includes(args[position])) return null;
+  return { position, candidates: () => names };
+}
+
+// The argument the error names; docker reports `postgress` as "postgress:latest".
+function findToken(args, invocation, kind, name) {
+  return args.findIndex(
+    (arg, index) => index > invocation.verbIndex && (arg === name || (kind === 'image' && `${arg}:latest` === name))
+  );
+}
+
+// The mistyped container, image or compose service in a docker argv as { position, candidates },
+// or null. Only the one name the error reports is corrected, and nothing under rm/rmi/kill/prune.
+// Compose files are looked up from cwd, and docker is asked with env.
+function findProblem(command, args, combinedOutput, { cwd = process.cwd(), env = process.env } = {}) {
+  if (command !== 'docker' && command !== 'docker-compose') return null;
+  if (args.some((arg) => REFUSED_VERBS.has(arg))) return null;
+  const invocation = { ...parseInvocation(command, args), cwd, env };
+  if (invocation.verbIndex === -1) return null;
+  if (combinedOutput === null) return findUnknown(args, invocation);
+  for (const { kind, pattern } of ERROR_PATTERNS) {
+    const match = combinedOutput.match(pattern);
+    if (!match) continue;
+    const position = findToken(args, invocation, kind, match[1]);
+    if (position === -1) return null;
+    const names = getNames(kind, args[position], invocation);
+    return names.includes(args[position]) ? null : { position, candidates: () => names };
+  }
+  return null;
+}
+
+module.exports = {
+  COMPOSE_FILES,
+  REFUSED_VERBS,
+  getContainers,
+  getImages,
+  getServices,
+  parseInvocation,
+  findProblem
+};
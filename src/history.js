@@ -0,0 +1,125 @@
+'use strict';
+
+const path = require('path');
+const store = require('./store');
+
+const REDACTED = '***';
+const SECRET_NAME = /(pass(word|wd)?|secret|token|api[-_]?key|auth(?!or)|credential|private[-_]?key)/i;
+const SECRET_VALUE_PATTERNS = [
+  /^gh[pousr]_[A-Za-z0-9]{20,}$/,
+  /^github_pat_[A-Za-z0-9_]{20,}$/,
+  /^xox[abprs]-[A-Za-z0-9-]{10,}$/,
+  /^sk-[A-Za-z0-9_-]{16,}$/,
+  /^AKIA[0-9A-Z]{16}$/,
+  /^npm_[A-Za-z0-9]{30,}$/,
+  /^eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/
+];
+
+function getHistoryPath() {
+  return path.join(store.getDataDir(), 'history.jsonl');
+}
+
+function redactValue(value) {
+  if (SECRET_VALUE_PATTERNS.some((pattern) => pattern.test(value))) return REDACTED;
+  // user:password@host in URLs
+  return value.replace(/(\/\/[^/\s:@]+:)[^@\s/]+@/g, `$1${REDACTED}@`);
+}
+
+// Masks values of secret-looking flags (--token x, --password=x),
+// NAME=value pairs with secret-looking names, URL credentials and well-known token formats.
+function redactArgs(args) {
+  const result = [];
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = String(args[i]);
+    const assignment = arg.match(/^(-{0,2}[^=\s]+)=(.*)$/);
+    if (assignment && SECRET_NAME.test(assignment[1])) {
+      result.push(`${assignment[1]}=${REDACTED}`);
+      continue;
+    }
+    result.push(redactValue(arg));
+    const isSecretFlag = /^--?[\w-]+$/.test(arg) && SECRET_NAME.test(arg);
+    if (isSecretFlag && i + 1 < args.length && !String(args[i + 1]).startsWith('-')) {
+      result.push(REDACTED);
+      i += 1;
+    }
+  }
+  return result;
+}
+
+function redactText(text) {
+  return redactArgs(String(text).split(' ')).join(' ');
+}
+
+// Every field that can hold argv text is redacted: plugin rules put the whole command line
+// in typo and candidate.
+function recordCorrection(fix, result, { cwd = process.cwd() } = {}) {
+  store.appendRecord(getHistoryPath(), {
+    ts: new Date().toISOString(),
+    cwd,
+    corrector: fix.corrector,
+    typo: redactText(fix.typo),
+    candidate: redactText(fix.candidate),
+    from: redactText(fix.from),
+    to: redactText(fix.to),
+    argv: redactArgs([fix.command, ...fix.args]),
+    exitCode: result.code
+  });
+}
+
+function readHistory() {
+  return store.readRecords(getHistoryPath());
+}
+
+let successCounts = null;
+
+// typo -> candidate -> number of corrections that exited 0, for breaking ties. Both are
+// keyed the redacted way they are recorded; look candidates up through redactText.
+function getSuccessCounts(typo) {
+  if (!successCounts) {
+    successCounts = new Map();
+    for (const entry of readHistory()) {
+      if (entry.exitCode !== 0 || !entry.typo || !entry.candidate) continue;
+      const key = String(entry.typo).toLowerCase();
+      const counts = successCounts.get(key) || new Map();
+      counts.set(entry.candidate, (counts.get(entry.candidate) || 0) + 1);
+      successCounts.set(key, counts);
+    }
+  }
+  return successCounts.get(redactText(typo).toLowerCase()) || new Map();
+}
+
+function summarize(entries = readHistory()) {
+  const pairs = new Map();
+  const correctors = new Map();
+  let succeeded = 0;
+  for (const entry of entries) {
+    const ok = entry.exitCode === 0;
+    if (ok) succeeded += 1;
+    const pairKey = `${entry.from}\u0000${entry.to}`;
+    const pair = pairs.get(pairKey) || { from: entry.from, to: entry.to, count: 0, succeeded: 0 };
+    pair.count += 1;
+    if (ok) pair.succeeded += 1;
+    pairs.set(pairKey, pair);
+    const corrector = correctors.get(entry.corrector) || { corrector: entry.corrector, count: 0, succeeded: 0 };
+    corrector.count += 1;
+    if (ok) corrector.succeeded += 1;
+    correctors.set(entry.corrector, corrector);
+  }
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    total: entries.length,
+    succeeded,
+    topTypos: [...pairs.values()].sort(byCount),
+    correctors: [...correctors.values()].sort(byCount)
+  };
+}
+
+module.exports = {
+  getHistoryPath,
+  redactArgs,
+  redactText,
+  recordCorrection,
+  readHistory,
+  getSuccessCounts,
+  summarize
+};
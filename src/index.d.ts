@@ -0,0 +1,151 @@
+// Types for the programmatic API in index.js.
+
+export type Env = Record<string, string | undefined>;
+
+export interface ContextOptions {
+  /** Directory the command runs in; defaults to process.cwd(). */
+  cwd?: string;
+  /** Environment the command and FuzzRun's lookups run with; defaults to process.env. A HOME here does not move ~/.fuzzrun. */
+  env?: Env;
+}
+
+export interface SuggestOptions extends ContextOptions {
+  /** The failed run's stderr and stdout. */
+  output?: string;
+}
+
+export interface CorrectAndRunOptions extends ContextOptions {
+  /** Stream the command's output to this process's stdout/stderr as well. Defaults to false. */
+  echo?: boolean;
+}
+
+/** Why a candidate was not used. The last three come from the risk policies. */
+export type Rejection =
+  | 'tie'
+  | 'distance'
+  | 'confidence'
+  | 'banned'
+  | 'numbered'
+  | 'superseded'
+  | 'package-name'
+  | 'not-auto-run'
+  | 'dangerous-base'
+  | 'risky-subcommand'
+  | 'risky-arg';
+
+export interface Fix {
+  /** 'base', 'subcommand', 'workspace', 'script', 'task', 'flag', 'ref', 'kube', 'docker', 'path', a rule name, or several joined with '+'. */
+  corrector: string;
+  candidate: string;
+  /** The typo as pins and bans key it, e.g. "git stauts". */
+  typo: string;
+  from: string;
+  to: string;
+  command: string;
+  args: string[];
+  /** Set when a "confirm" policy applies: the policy, e.g. "git push --force-with-lease". */
+  confirm?: string;
+  /** The single fixes a chained correction is made of. */
+  steps?: Fix[];
+}
+
+export interface Candidate {
+  corrector: string;
+  source: 'output' | 'dictionary' | 'pinned' | 'promoted' | 'rule' | null;
+  candidate: string;
+  distance: number | null;
+  confidence?: number;
+  /** null for the candidate that was chosen. */
+  rejected: Rejection | null;
+  /** Argument index the candidate replaces, for argument correctors. */
+  position?: number;
+  /** The whole argv, for plugin rule candidates. */
+  argv?: string[];
+}
+
+export interface Suggestion {
+  fix: Fix | null;
+  /** Accepted candidates first, then by distance. */
+  candidates: Candidate[];
+  /** Policy and rule files that failed to load or run, e.g. "skipping rule <file>: <reason>". */
+  warnings: string[];
+}
+
+export interface RunSummary {
+  code: number;
+  signal: string | null;
+  notFound: boolean;
+  /** The last 64 KiB of each stream. */
+  stdout: string;
+  stderr: string;
+}
+
+export interface Typosquat {
+  name: string;
+  position: number;
+  similarTo: string;
+  distance: number;
+}
+
+export interface CorrectAndRunResult {
+  argv: string[];
+  /** Lookalike names in the install as typed, then in the install the fix would run. */
+  typosquats: Typosquat[];
+  /** The install was refused (typosquatGuard=block): nothing ran, or only the typed command when the fix made the install. */
+  blocked: boolean;
+  firstRun: RunSummary | null;
+  fix: Fix | null;
+  /** The corrected command's run; null when no fix ran (none found, or it needs confirmation). */
+  corrected: RunSummary | null;
+  /** Exit code and signal of whatever ran last. */
+  code: number;
+  signal: string | null;
+  /** Policy and rule files that failed to load or run; the CLI would have printed these. */
+  warnings: string[];
+}
+
+export interface ExplainOptions extends ContextOptions {
+  /** The command's captured stderr and stdout; when given, the command is not executed. */
+  output?: string;
+}
+
+export interface ExplainReport {
+  argv: string[];
+  /** Whether the command was executed to read its error (false when `output` was given). */
+  executed: boolean;
+  disabled?: boolean;
+  blocked?: boolean;
+  /** Set when the command was not run because the risk policy does not mark it safe: why. */
+  refused?: string;
+  typosquats: Typosquat[];
+  firstRun: { code: number; notFound: boolean; output: string } | null;
+  candidates: Candidate[];
+  fix: Fix | null;
+  /** Policy and rule files that failed to load or run. Absent from `fuzzrun explain --json`, which prints them. */
+  warnings?: string[];
+}
+
+export interface Match {
+  match: string;
+  distance: number;
+}
+
+/** Plans a fix for a command that already failed, without running anything. */
+export function suggest(argv: string[], options?: SuggestOptions): Suggestion;
+
+/** Runs the command and, when it fails, the fix FuzzRun would run. Never prints (unless `echo`), prompts or exits; problems come back in `warnings`. */
+export function correctAndRun(argv: string[], options?: CorrectAndRunOptions): Promise<CorrectAndRunResult>;
+
+/** Reports every candidate and decision, like `fuzzrun explain --json`. Runs the command once, if policy marks it safe, unless `output` is given. */
+export function explain(argv: string[], options?: ExplainOptions): Promise<ExplainReport>;
+
+/** The unique closest candidate within maxDistance (keyboard-weighted), or null on a tie or no match. */
+export function findBestMatch(candidates: Iterable<string>, target: string, options?: { maxDistance?: number }): Match | null;
+
+/** Case-insensitive edit distance counting transpositions; stops at maxDistance + 1. */
+export function damerauLevenshtein(
+  a: string,
+  b: string,
+  maxDistance?: number,
+  substitutionCost?: ((a: string, b: string) => number) | null
+): number;
@@ -0,0 +1,18 @@
+'use strict';
+
+// The programmatic API. Requiring it has no side effects: no install banner, no shell hooks
+// enabled, nothing printed and no process.exit. Types are in index.d.ts.
+const cli = require('./cli');
+
+// `maxDistance` defaults to the configured one; settings come from the current directory.
+function findBestMatch(candidates, target, { maxDistance } = {}) {
+  return cli.findBestMatch(candidates, target, maxDistance);
+}
+
+module.exports = {
+  suggest: cli.suggest,
+  correctAndRun: cli.correctAndRun,
+  explain: cli.explain,
+  findBestMatch,
+  damerauLevenshtein: cli.damerauLevenshtein
+};
@@ -7,7 +7,7 @@ const path = require('path');
 const MARKER_START = '# >>> fuzzrun start';
 const MARKER_END = '# <<< fuzzrun end';
 
-const WRAP_BASES = ['git', 'npm', 'yarn', 'pnpm', 'pip', 'docker', 'kubectl', 'gh'];
+const WRAP_BASES = ['git', 'npm', 'npx', 'yarn', 'pnpm', 'pip', 'pip3', 'docker', 'kubectl', 'gh'];
 
 function escapeRegex(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -24,26 +24,80 @@ function getBinPath(packageRoot) {
   return path.resolve(packageRoot, 'bin', 'fuzzrun.js');
 }
 
-function getProfileTargets() {
+function getWindowsPowerShellProfiles() {
+  const home = os.homedir();
+  const roots = new Set([path.join(home, 'Documents')]);
+  const oneDriveRoots = [
+    process.env.OneDrive,
+    process.env.OneDriveConsumer,
+    process.env.OneDriveCommercial
+  ].filter(Boolean);
+  for (const root of oneDriveRoots) {
+    roots.add(path.basename(root).toLowerCase() === 'documents' ? root : path.join(root, 'Documents'));
+  }
+  const targets = [];
+  for (const root of roots) {
+    targets.push(path.join(root, 'PowerShell', 'Microsoft.PowerShell_profile.ps1'));
+    targets.push(path.join(root, 'WindowsPowerShell', 'Microsoft.PowerShell_profile.ps1'));
+  }
+  return [...new Set(targets)];
+}
+
+// Profiles per shell. `detect` names a path whose existence means the shell is in use;
+// `dedicated` files belong to FuzzRun alone and are deleted on disable.
+function getShells() {
   const home = os.homedir();
   if (process.platform === 'win32') {
-    const roots = new Set([path.join(home, 'Documents')]);
-    const oneDriveRoots = [
-      process.env.OneDrive,
-      process.env.OneDriveConsumer,
-      process.env.OneDriveCommercial
-    ].filter(Boolean);
-    for (const root of oneDriveRoots) {
-      roots.add(path.basename(root).toLowerCase() === 'documents' ? root : path.join(root, 'Documents'));
+    return {
+      pwsh: { profiles: getWindowsPowerShellProfiles(), build: buildPowerShellSnippet }
+    };
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  return {
+    bash: { profiles: [path.join(home, '.bashrc')], build: buildUnixSnippet },
+    zsh: { profiles: [path.join(home, '.zshrc')], build: buildUnixSnippet },
+    fish: {
+      profiles: [path.join(configHome, 'fish', 'conf.d', 'fuzzrun.fish')],
+      detect: path.join(configHome, 'fish'),
+      dedicated: true,
+      build: buildFishSnippet
+    },
+    ksh: { profiles: [path.join(home, '.kshrc')], build: buildKshSnippet },
+    mksh: { profiles: [path.join(home, '.mkshrc')], build: buildKshSnippet },
+    pwsh: {
+      profiles: [path.join(configHome, 'powershell', 'Microsoft.PowerShell_profile.ps1')],
+      detect: path.join(configHome, 'powershell'),
+      build: buildPowerShellSnippet
+    }
+  };
+}
+
+function resolveShellName(name) {
+  const normalized = String(name || '').toLowerCase();
+  if (normalized === 'powershell') return 'pwsh';
+  return normalized;
+}
+
+function getProfileTargets(shellName) {
+  const shells = getShells();
+  const names = shellName ? [resolveShellName(shellName)] : Object.keys(shells);
+  const targets = [];
+  for (const name of names) {
+    const shell = shells[name];
+    if (!shell) {
+      throw new Error(`unknown shell: ${shellName} (expected one of ${Object.keys(shells).join(', ')})`);
     }
-    const targets = [];
-    for (const root of roots) {
-      targets.push(path.join(root, 'PowerShell', 'Microsoft.PowerShell_profile.ps1'));
-      targets.push(path.join(root, 'WindowsPowerShell', 'Microsoft.PowerShell_profile.ps1'));
+    for (const profile of shell.profiles) {
+      targets.push({
+        shell: name,
+        path: profile,
+        detect: shell.detect,
+        dedicated: Boolean(shell.dedicated),
+        build: shell.build
+      });
     }
-    return [...new Set(targets)];
   }
-  return [path.join(home, '.bashrc'), path.join(home, '.zshrc')];
+  return targets;
 }
 
 function ensureDir(filePath) {
@@ -54,7 +108,137 @@ function stripBlock(content) {
   return content.replace(BLOCK_REGEX, '').trimEnd();
 }
 
-function buildPowerShellSnippet(binPath) {
+// cd is a builtin and never reaches command-not-found, so a wrapper asks `fuzzrun cd` for a
+// corrected directory when cd fails. ksh and mksh reach the builtin with `command`.
+function buildCdWrapper(invoke) {
+  return [
+    'cd() {',
+    `  [ "$#" -eq 1 ] && [ "$1" != "-" ] || { ${invoke} "$@"; return; }`,
+    `  ${invoke} "$1" 2>/dev/null && return`,
+    '  set -- "$1" "$(fuzzrun cd "$1")"',
+    `  ${invoke} "\${2:-$1}"`,
+    '}'
+  ];
+}
+
+// bash and zsh keep a cd function defined before the snippet (nvm, rvm, autoenv) under
+// __fuzzrun_cd, as fish does, and fall back to `builtin cd` (zsh's `command` only looks for
+// external commands). A second source finds __fuzzrun_cd already set and leaves it alone.
+const UNIX_CD_WRAPPER = [
+  'if ! typeset -f __fuzzrun_cd >/dev/null 2>&1; then',
+  '  if __fuzzrun_def=$(typeset -f cd 2>/dev/null) && [ -n "$__fuzzrun_def" ]; then',
+  '    eval "__fuzzrun_cd${__fuzzrun_def#cd}"',
+  '  else',
+  '    __fuzzrun_cd() { builtin cd "$@"; }',
+  '  fi',
+  '  unset __fuzzrun_def',
+  'fi',
+  ...buildCdWrapper('__fuzzrun_cd')
+];
+
+// `fuzzrun last` reads the previous command line and its exit status from FUZZRUN_LAST_COMMAND
+// and FUZZRUN_LAST_STATUS. The hooks keep them in unexported shell variables after every
+// command, since a command line may hold secrets, and hand them to `fuzzrun last` alone.
+const UNIX_FUZZRUN_FUNCTION = [
+  'fuzzrun() {',
+  '  if [ "${1-}" = last ]; then',
+  '    FUZZRUN_LAST_COMMAND="${__fuzzrun_last_command-}" FUZZRUN_LAST_STATUS="${__fuzzrun_last_status-}" node "$FUZZRUN_BIN" "$@"',
+  '  else',
+  '    node "$FUZZRUN_BIN" "$@"',
+  '  fi',
+  '}'
+];
+
+// bash only advances them when the history number does, so an empty line keeps the previous command.
+const BASH_LAST_COMMAND = [
+  '__fuzzrun_last() {',
+  '  local code=$? entry',
+  String.raw`  local pattern='^ *([0-9]+)\*? +(.*)$'`,
+  '  entry=$(HISTTIMEFORMAT= builtin history 1)',
+  '  if [[ $entry =~ $pattern ]] && [ "${BASH_REMATCH[1]}" != "${__fuzzrun_histnum-}" ]; then',
+  '    __fuzzrun_histnum=${BASH_REMATCH[1]}',
+  '    __fuzzrun_last_command=${BASH_REMATCH[2]} __fuzzrun_last_status=$code',
+  '  fi',
+  '  return $code',
+  '}',
+  '[[ ${PROMPT_COMMAND-} == *__fuzzrun_last* ]] || PROMPT_COMMAND="__fuzzrun_last${PROMPT_COMMAND:+;$PROMPT_COMMAND}"'
+];
+
+const ZSH_LAST_COMMAND = [
+  '__fuzzrun_preexec() { __fuzzrun_pending=$1; }',
+  '__fuzzrun_precmd() {',
+  '  local code=$?',
+  '  [[ -n ${__fuzzrun_pending-} ]] || return',
+  '  __fuzzrun_last_command=$__fuzzrun_pending __fuzzrun_last_status=$code',
+  '  __fuzzrun_pending=',
+  '}',
+  'autoload -Uz add-zsh-hook',
+  'add-zsh-hook preexec __fuzzrun_preexec',
+  'add-zsh-hook precmd __fuzzrun_precmd'
+];
+
+// Line-editor widgets (enable --line-editor): before Enter is accepted, `fuzzrun line` checks
+// the buffer's base command and subcommand and the buffer is rewritten in place, so the
+// corrected command is what runs and what lands in history. Exit 2 means the fix needs
+// confirmation: zsh and PowerShell show it without running it, bash (whose bind -x cannot
+// hold the line) leaves it to the check after the command fails. Continuation lines (a
+// heredoc body, the rest of a quoted string) are data and are never checked.
+const ZSH_LINE_EDITOR = [
+  '__fuzzrun_accept_line() {',
+  '  local known= fixed',
+  '  if [[ $CONTEXT == start && -z $PREBUFFER && -n ${BUFFER//[[:space:]]/} ]]; then',
+  '    whence -- "${${(z)BUFFER}[1]}" >/dev/null 2>&1 && known=--known',
+  '    fixed=$(fuzzrun line $known -- "$BUFFER" 2>/dev/null)',
+  '    case $? in',
+  '      0) BUFFER=$fixed; CURSOR=$#BUFFER ;;',
+  "      2) BUFFER=$fixed; CURSOR=$#BUFFER; zle -M 'fuzzrun: corrected, press Enter again to run it'; return ;;",
+  '    esac',
+  '  fi',
+  '  zle .accept-line',
+  '}',
+  '[[ -o interactive ]] && zle -N accept-line __fuzzrun_accept_line'
+];
+
+// bind -x cannot accept the line itself, so Enter runs the check and then accept-line (C-j).
+// readline does not tell a secondary prompt apart, so PROMPT_COMMAND, which runs only before
+// the primary one, arms the check and the first Enter disarms it.
+const BASH_LINE_EDITOR = [
+  '__fuzzrun_line() {',
+  '  [ -n "${__fuzzrun_primary-}" ] || return',
+  '  __fuzzrun_primary=',
+  '  local words known= fixed',
+  '  read -r -a words <<< "$READLINE_LINE"',
+  '  [ "${#words[@]}" -gt 0 ] || return',
+  '  type -- "${words[0]}" >/dev/null 2>&1 && known=--known',
+  '  fixed=$(fuzzrun line $known -- "$READLINE_LINE" 2>/dev/null) || return',
+  '  READLINE_LINE=$fixed',
+  '  READLINE_POINT=${#READLINE_LINE}',
+  '}',
+  'if [[ $- == *i* ]] && [ "${BASH_VERSINFO[0]}" -ge 4 ]; then',
+  '  [[ $PROMPT_COMMAND == *__fuzzrun_primary=1* ]] || PROMPT_COMMAND="${PROMPT_COMMAND:+$PROMPT_COMMAND;}__fuzzrun_primary=1"',
+  '  for __fuzzrun_keymap in emacs vi-insert; do',
+  String.raw`    bind -m "$__fuzzrun_keymap" -x '"\C-x\C-f": __fuzzrun_line'`,
+  String.raw`    bind -m "$__fuzzrun_keymap" '"\C-m": "\C-x\C-f\C-j"'`,
+  '  done',
+  '  unset __fuzzrun_keymap',
+  'fi'
+];
+
+const POWERSHELL_LINE_EDITOR = [
+  '            if ($line.Trim()) {',
+  "                $lineArgs = @('line')",
+  "                if (Get-Command ($line.Trim() -split '\\s+')[0] -ErrorAction SilentlyContinue) { $lineArgs += '--known' }",
+  "                $fixed = (fuzzrun @lineArgs '--' $line 2>$null) -join \"`n\"",
+  '                $code = $LASTEXITCODE',
+  '                if ($code -eq 0 -or $code -eq 2) {',
+  '                    [Microsoft.PowerShell.PSConsoleReadLine]::Replace(0, $line.Length, $fixed)',
+  '                    if ($code -eq 2) { return }',
+  '                    $line = $fixed',
+  '                }',
+  '            }'
+];
+
+function buildPowerShellSnippet(binPath, { lineEditor = false } = {}) {
   const lines = [
     MARKER_START,
     `$fuzzrun = "${binPath}"`,
@@ -67,12 +251,18 @@ function buildPowerShellSnippet(binPath) {
     '            $line = $null',
     '            $cursor = $null',
     '            [Microsoft.PowerShell.PSConsoleReadLine]::GetBufferState([ref]$line, [ref]$cursor)',
+    ...(lineEditor ? POWERSHELL_LINE_EDITOR : []),
     '            $global:FuzzRunLastLine = $line',
     '            [Microsoft.PowerShell.PSConsoleReadLine]::AcceptLine()',
     '        }',
     '    } catch {}',
     '}',
-    'function global:fuzzrun { node $fuzzrun @args }',
+    'function global:fuzzrun {',
+    "    if ($args.Count -eq 0 -or $args[0] -ne 'last') { node $fuzzrun @args; return }",
+    '    $env:FUZZRUN_LAST_COMMAND = $global:FuzzRunLastCommand',
+    '    $env:FUZZRUN_LAST_STATUS = $global:FuzzRunLastStatus',
+    '    try { node $fuzzrun @args } finally { Remove-Item Env:FUZZRUN_LAST_COMMAND, Env:FUZZRUN_LAST_STATUS -ErrorAction SilentlyContinue }',
+    '}',
     '$ExecutionContext.InvokeCommand.CommandNotFoundAction = {',
     '    param($commandName, $eventArgs)',
     '    $cmd = $commandName',
@@ -104,11 +294,38 @@ function buildPowerShellSnippet(binPath) {
     '    if ($argv.Count -gt 1) {',
     '        $fzArgs = $argv[1..($argv.Count - 1)]',
     '    }',
-    '    $eventArgs.CommandScriptBlock = { fuzzrun $cmd @fzArgs }.GetNewClosure()',
+    "    $eventArgs.CommandScriptBlock = { fuzzrun run '--' $cmd @fzArgs }.GetNewClosure()",
     '    $eventArgs.StopSearch = $true',
     '}'
   ];
   lines.push(`$__fuzzrunBases = @(${WRAP_BASES.map((base) => `'${base}'`).join(', ')})`);
+  lines.push(
+    'function global:__fuzzrun_cd {',
+    "    if ($args.Count -eq 1 -and $args[0] -ne '-' -and -not (Test-Path -LiteralPath $args[0] -PathType Container)) {",
+    '        $fixed = fuzzrun cd $args[0]',
+    '        if ($LASTEXITCODE -eq 0 -and $fixed) { Set-Location -LiteralPath $fixed; return }',
+    '    }',
+    '    Set-Location @args',
+    '}',
+    'Set-Alias -Name cd -Value __fuzzrun_cd -Option AllScope -Scope Global -Force'
+  );
+  // PowerShell has no post-command hook; the prompt, which runs after every command, keeps
+  // the last history entry and its status for `fuzzrun last`.
+  lines.push(
+    'if (-not $global:__fuzzrunPrompt) {',
+    '    $global:__fuzzrunPrompt = $function:prompt',
+    '    function global:prompt {',
+    '        $ok = $?',
+    '        $last = Get-History -Count 1',
+    '        if ($last -and $last.Id -ne $global:__fuzzrunHistoryId) {',
+    '            $global:__fuzzrunHistoryId = $last.Id',
+    '            $global:FuzzRunLastCommand = $last.CommandLine',
+    '            $global:FuzzRunLastStatus = if ($ok) { 0 } elseif ($global:LASTEXITCODE) { $global:LASTEXITCODE } else { 1 }',
+    '        }',
+    '        & $global:__fuzzrunPrompt',
+    '    }',
+    '}'
+  );
   lines.push('foreach ($base in $__fuzzrunBases) {');
   lines.push('    $resolved = Get-Command $base -ErrorAction SilentlyContinue | Where-Object { $_.CommandType -eq "Application" } | Select-Object -First 1');
   lines.push('    if ($resolved) {');
@@ -120,13 +337,49 @@ function buildPowerShellSnippet(binPath) {
   return lines.join('\n');
 }
 
-function buildUnixSnippet(binPath) {
+function buildFishSnippet(binPath) {
+  const lines = [
+    MARKER_START,
+    `set -g FUZZRUN_BIN "${binPath}"`,
+    'function fuzzrun',
+    '    if test "$argv[1]" = last',
+    '        env FUZZRUN_LAST_COMMAND="$__fuzzrun_last_command" FUZZRUN_LAST_STATUS="$__fuzzrun_last_status" node $FUZZRUN_BIN $argv',
+    '    else',
+    '        node $FUZZRUN_BIN $argv',
+    '    end',
+    'end',
+    'function fish_command_not_found',
+    '    fuzzrun run -- $argv',
+    'end',
+    // Keep fish's own cd (with its directory history) and only step in when it would fail.
+    'functions -q __fuzzrun_fish_cd; or functions -c cd __fuzzrun_fish_cd',
+    'function cd --wraps cd',
+    '    if test (count $argv) -eq 1; and test "$argv[1]" != "-"; and not test -d "$argv[1]"',
+    '        set -l fixed (fuzzrun cd $argv[1]); and __fuzzrun_fish_cd $fixed; and return',
+    '    end',
+    '    __fuzzrun_fish_cd $argv',
+    'end',
+    'function __fuzzrun_last --on-event fish_postexec',
+    '    set -l code $status',
+    '    test -n "$argv[1]"; or return',
+    '    set -g __fuzzrun_last_command $argv[1]',
+    '    set -g __fuzzrun_last_status $code',
+    'end'
+  ];
+  for (const base of WRAP_BASES) {
+    lines.push(`function ${base}`, `    fuzzrun ${base} $argv`, 'end');
+  }
+  lines.push(MARKER_END, '');
+  return lines.join('\n');
+}
+
+// ksh93 and mksh have no command-not-found hook, so only the wrappers apply there.
+function buildKshSnippet(binPath) {
   const lines = [
     MARKER_START,
     `FUZZRUN_BIN="${binPath}"`,
     'fuzzrun() { node "$FUZZRUN_BIN" "$@"; }',
-    'command_not_found_handle() { fuzzrun "$@"; }',
-    'command_not_found_handler() { fuzzrun "$@"; }'
+    ...buildCdWrapper('command cd')
   ];
   for (const base of WRAP_BASES) {
     lines.push(`${base}() { fuzzrun ${base} "$@"; }`);
@@ -135,6 +388,25 @@ function buildUnixSnippet(binPath) {
   return lines.join('\n');
 }
 
+function buildUnixSnippet(binPath, { shell, lineEditor = false } = {}) {
+  const lines = [
+    MARKER_START,
+    `FUZZRUN_BIN="${binPath}"`,
+    ...UNIX_FUZZRUN_FUNCTION,
+    // `run --` keeps a mistyped command that happens to be a verb (`pin` for pip) from running it.
+    'command_not_found_handle() { fuzzrun run -- "$@"; }',
+    'command_not_found_handler() { fuzzrun run -- "$@"; }',
+    ...UNIX_CD_WRAPPER
+  ];
+  for (const base of WRAP_BASES) {
+    lines.push(`${base}() { fuzzrun ${base} "$@"; }`);
+  }
+  lines.push(...(shell === 'zsh' ? ZSH_LAST_COMMAND : BASH_LAST_COMMAND));
+  if (lineEditor) lines.push(...(shell === 'zsh' ? ZSH_LINE_EDITOR : BASH_LINE_EDITOR));
+  lines.push(MARKER_END, '');
+  return lines.join('\n');
+}
+
 function updateProfile(filePath, snippet) {
   const exists = fs.existsSync(filePath);
   const content = exists ? fs.readFileSync(filePath, 'utf8') : '';
@@ -146,7 +418,7 @@ function updateProfile(filePath, snippet) {
   return { updated: content !== nextContent, path: filePath };
 }
 
-function removeProfileSnippet(filePath) {
+function removeProfileSnippet(filePath, { dedicated = false } = {}) {
   if (!fs.existsSync(filePath)) {
     return { updated: false, path: filePath };
   }
@@ -155,42 +427,64 @@ function removeProfileSnippet(filePath) {
   if (cleaned === content) {
     return { updated: false, path: filePath };
   }
+  if (dedicated && !cleaned.trim()) {
+    fs.rmSync(filePath, { force: true });
+    return { updated: true, path: filePath };
+  }
   ensureDir(filePath);
   fs.writeFileSync(filePath, cleaned ? `${cleaned}\n` : '', 'utf8');
   return { updated: true, path: filePath };
 }
 
-function pickTargets() {
-  const targets = getProfileTargets();
-  if (process.platform === 'win32') {
-    return targets;
+function isShellInUse(target) {
+  return fs.existsSync(target.path) || Boolean(target.detect && fs.existsSync(target.detect));
+}
+
+// Without an explicit shell: every shell whose profile (or config dir) exists, else the
+// login shell from $SHELL, else bash.
+function pickTargets(shellName) {
+  if (shellName || process.platform === 'win32') {
+    return getProfileTargets(shellName);
   }
-  const existing = targets.filter((target) => fs.existsSync(target));
+  const targets = getProfileTargets();
+  const existing = targets.filter(isShellInUse);
   if (existing.length) return existing;
-  return [targets[0]];
+  const loginShell = path.basename(process.env.SHELL || '');
+  const fallback = targets.find((target) => target.shell === loginShell) || targets[0];
+  return [fallback];
 }
 
-function enable({ packageRoot } = {}) {
+// lineEditor adds the pre-execution widgets for zsh, bash and PowerShell; other shells have none.
+function enable({ packageRoot, shell, lineEditor = false } = {}) {
   const root = getPackageRoot(packageRoot);
   const binPath = getBinPath(root);
-  const targets = pickTargets();
-  const snippet = process.platform === 'win32' ? buildPowerShellSnippet(binPath) : buildUnixSnippet(binPath);
-  return targets.map((target) => updateProfile(target, snippet));
+  const targets = pickTargets(shell);
+  return targets.map((target) => ({
+    ...updateProfile(target.path, target.build(binPath, { shell: target.shell, lineEditor })),
+    shell: target.shell
+  }));
 }
 
-function disable() {
-  const targets = getProfileTargets().filter((target) => fs.existsSync(target));
-  return targets.map((target) => removeProfileSnippet(target));
+function disable({ shell } = {}) {
+  const targets = getProfileTargets(shell).filter((target) => fs.existsSync(target.path));
+  return targets.map((target) => ({
+    ...removeProfileSnippet(target.path, { dedicated: target.dedicated }),
+    shell: target.shell
+  }));
 }
 
-function status() {
-  const targets = getProfileTargets();
+function status({ shell } = {}) {
+  const targets = getProfileTargets(shell);
   return targets.map((target) => {
-    if (!fs.existsSync(target)) {
-      return { path: target, enabled: false };
+    if (!fs.existsSync(target.path)) {
+      return { path: target.path, shell: target.shell, enabled: false };
     }
-    const content = fs.readFileSync(target, 'utf8');
-    return { path: target, enabled: content.includes(MARKER_START) && content.includes(MARKER_END) };
+    const content = fs.readFileSync(target.path, 'utf8');
+    return {
+      path: target.path,
+      shell: target.shell,
+      enabled: content.includes(MARKER_START) && content.includes(MARKER_END)
+    };
   });
 }
 
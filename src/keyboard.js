@@ -0,0 +1,106 @@
+'use strict';
+
+// Physical key rows, left to right: top, home and bottom letter rows.
+const LAYOUTS = {
+  qwerty: ['qwertyuiop[]', "asdfghjkl;'", 'zxcvbnm,./'],
+  azerty: ['azertyuiop^$', 'qsdfghjklmù', 'wxcvbn,;:!'],
+  qwertz: ['qwertzuiopü+', 'asdfghjklöä', 'yxcvbnm,.-'],
+  dvorak: ["',.pyfgcrl/=", 'aoeuidhtns-', ';qjkxbmwvz']
+};
+
+// Non-Latin layouts a command ends up typed in when the wrong input source is active.
+const FOREIGN_LAYOUTS = {
+  russian: ['йцукенгшщзхъ', 'фывапролджэ', 'ячсмитьбю.'],
+  ukrainian: ['йцукенгшщзхї', 'фівапролджє', 'ячсмитьбю.'],
+  greek: [';ςερτυθιοπ[]', "ασδφγηξκλ΄'", 'ζχψωβνμ,./'],
+  hebrew: ["/'קראטוןםפ][", 'שדגכעיחלךף,', 'זסבהנמצתץ.']
+};
+
+// Rows are staggered: the home row sits a quarter key right of the top row, the bottom row three quarters.
+const ROW_OFFSETS = [0, 0.25, 0.75];
+const ADJACENT_COST = 0.5;
+
+function getLayoutRows(layout) {
+  return LAYOUTS[layout] || LAYOUTS.qwerty;
+}
+
+function keyPositions(rows) {
+  const positions = new Map();
+  rows.forEach((row, y) => {
+    [...row].forEach((key, index) => {
+      if (!positions.has(key)) positions.set(key, { x: index + ROW_OFFSETS[y], y, index });
+    });
+  });
+  return positions;
+}
+
+const positionCache = new Map();
+
+function getPositions(layout) {
+  if (!positionCache.has(layout)) positionCache.set(layout, keyPositions(getLayoutRows(layout)));
+  return positionCache.get(layout);
+}
+
+let foreignKeys = null;
+
+function getForeignKeys() {
+  if (!foreignKeys) {
+    foreignKeys = new Map();
+    for (const rows of Object.values(FOREIGN_LAYOUTS)) {
+      for (const [key, position] of keyPositions(rows)) {
+        if (!foreignKeys.has(key) && !/[\x20-\x7e]/.test(key)) foreignKeys.set(key, position);
+      }
+    }
+  }
+  return foreignKeys;
+}
+
+function isAdjacent(a, b, layout = 'qwerty') {
+  const positions = getPositions(layout);
+  const first = positions.get(a);
+  const second = positions.get(b);
+  if (!first || !second || a === b) return false;
+  const dx = Math.abs(first.x - second.x);
+  if (first.y === second.y) return dx === 1;
+  return Math.abs(first.y - second.y) === 1 && dx <= 0.75;
+}
+
+// Substitution cost for the edit distance: a slip onto a neighboring key costs less than a
+// substitution across the keyboard.
+function substitutionCost(layout = 'qwerty') {
+  return (a, b) => {
+    if (a === b) return 0;
+    return isAdjacent(a, b, layout) ? ADJACENT_COST : 1;
+  };
+}
+
+// Reads text typed with a non-Latin input source as the keys that were pressed,
+// e.g. "пше" -> "git" on QWERTY. Returns the text unchanged when nothing maps.
+function transliterate(text, layout = 'qwerty') {
+  const rows = getLayoutRows(layout);
+  const keys = getForeignKeys();
+  let changed = false;
+  const result = [...String(text)].map((char) => {
+    const position = keys.get(char.toLowerCase());
+    if (!position) return char;
+    changed = true;
+    return rows[position.y][position.index] || char;
+  });
+  return changed ? result.join('') : text;
+}
+
+// 1 for an exact match, falling towards 0 as the distance approaches the word length.
+function getConfidence(distance, a, b) {
+  const length = Math.max(String(a).length, String(b).length, 1);
+  return Math.max(0, Math.round((1 - distance / length) * 100) / 100);
+}
+
+module.exports = {
+  LAYOUTS,
+  FOREIGN_LAYOUTS,
+  ADJACENT_COST,
+  isAdjacent,
+  substitutionCost,
+  transliterate,
+  getConfidence
+};
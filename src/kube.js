@@ -0,0 +1,270 @@
+'use strict';
+
+const { spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const messages = require('./messages');
+const store = require('./store');
+
+const PROBE_TIMEOUT_MS = 5000;
+// Cluster contents change far more often than a binary; lookups are only reused briefly.
+const CACHE_TTL_MS = 60 * 1000;
+
+// Verbs that remove or evict something; their arguments are never rewritten.
+const REFUSED_VERBS = new Set(['delete', 'drain', 'cordon']);
+// Verbs whose first argument is a resource type, checked in a correction chain.
+const TYPED_VERBS = new Set(['get', 'describe', 'edit', 'explain', 'label', 'annotate', 'patch', 'scale']);
+const NAMESPACE_OPTIONS = new Set(['-n', '--namespace']);
+// Options that pick the cluster; lookups are made with them and cached per combination.
+const CONNECTION_OPTIONS = new Set(['--context', '--kubeconfig', '--cluster', '--user', '-s', '--server', '--token', '--as']);
+// Other options that take the next argument as their value.
+const VALUE_OPTIONS = new Set([
+  ...NAMESPACE_OPTIONS,
+  ...CONNECTION_OPTIONS,
+  '-o',
+  '--output',
+  '-l',
+  '--selector',
+  '-c',
+  '--container',
+  '-f',
+  '--filename',
+  '--field-selector',
+  '--sort-by',
+  '--since',
+  '--tail',
+  '--template',
+  '--request-timeout'
+]);
+
+const TYPE_ERROR_PATTERN = /the server doesn't have a resource type "([^"]+)"/i;
+const NOT_FOUND_PATTERN = /\(NotFound\): (\S+?) "([^"]+)" not found/i;
+// `kubectl get` in a namespace that does not exist lists nothing and exits 0.
+const EMPTY_NAMESPACE_PATTERN = /No resources found in (\S+) namespace/i;
+
+function getCachePath() {
+  return path.join(store.getDataDir(), 'kube.json');
+}
+
+function clearCache() {
+  try {
+    fs.rmSync(getCachePath(), { force: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// The kubeconfig files (and their mtimes, which `kubectl config use-context` bumps) plus any
+// connection options, hashed so tokens never land in the cache file.
+function getScope(connection, env = process.env) {
+  const files = (env.KUBECONFIG || path.join(os.homedir(), '.kube', 'config')).split(path.delimiter).filter(Boolean);
+  const stamps = files.map((file) => {
+    try {
+      return `${file}@${fs.statSync(file).mtimeMs}`;
+    } catch (err) {
+      return file;
+    }
+  });
+  return crypto.createHash('sha1').update([...stamps, ...connection].join('\n')).digest('hex').slice(0, 16);
+}
+
+function kubectl(args, connection, { cwd = process.cwd(), env = process.env } = {}) {
+  const result = spawnSync('kubectl', [...connection, ...args], {
+    encoding: 'utf8',
+    timeout: PROBE_TIMEOUT_MS,
+    cwd,
+    env: messages.getProbeEnv(env, cwd),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  if (result.error || result.status !== 0) return null;
+  return (result.stdout || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+// Failed lookups are not cached, so an unreachable cluster is asked again next time.
+function cached(connection, key, load, context = {}) {
+  const scopedKey = `${getScope(connection, context.env)} ${key}`;
+  const now = Date.now();
+  const entry = (store.readJson(getCachePath(), {}) || {})[scopedKey];
+  if (entry && Array.isArray(entry.values) && now - entry.fetchedAt < CACHE_TTL_MS) return entry.values;
+  const values = load();
+  if (!values) return [];
+  store.updateJson(getCachePath(), (current) => {
+    const next = {};
+    for (const [name, item] of Object.entries(current || {})) {
+      if (item && now - item.fetchedAt < CACHE_TTL_MS) next[name] = item;
+    }
+    next[scopedKey] = { values, fetchedAt: now };
+    return next;
+  });
+  return values;
+}
+
+// `kubectl api-resources`: NAME [SHORTNAMES] APIVERSION NAMESPACED KIND per line.
+function parseApiResources(lines) {
+  const resources = [];
+  for (const line of lines.slice(1)) {
+    const fields = line.split(/\s+/);
+    if (fields.length < 4) continue;
+    const shortNames = fields.length > 4 ? fields[1].split(',').filter(Boolean) : [];
+    resources.push({ name: fields[0], shortNames, kind: fields[fields.length - 1] });
+  }
+  return resources;
+}
+
+// Every spelling kubectl accepts for a type: plural, singular and short names. Lookups run
+// kubectl with the cwd and env in `context`.
+function getResourceTypes(connection = [], context = {}) {
+  return cached(connection, 'api-resources', () => {
+    const lines = kubectl(['api-resources'], connection, context);
+    if (!lines) return null;
+    const names = parseApiResources(lines).flatMap((item) => [item.name, item.kind.toLowerCase(), ...item.shortNames]);
+    return [...new Set(names)];
+  }, context);
+}
+
+// `kubectl get <type> -o name` prints "pod/api-1"; only the names are kept.
+function getResourceNames(type, namespace, connection = [], context = {}) {
+  const scope = namespace ? ['-n', namespace] : [];
+  return cached(connection, `names ${type} ${namespace || ''}`, () => {
+    const lines = kubectl(['get', type, '-o', 'name', ...scope], connection, context);
+    return lines && lines.map((line) => line.slice(line.indexOf('/') + 1));
+  }, context);
+}
+
+function getNamespaces(connection = [], context = {}) {
+  return cached(connection, 'namespaces', () => {
+    const lines = kubectl(['get', 'namespaces', '-o', 'name'], connection, context);
+    return lines && lines.map((line) => line.slice(line.indexOf('/') + 1));
+  }, context);
+}
+
+// Positional argument indexes, the namespace option and the connection options in argv.
+function parseArgs(args) {
+  const positions = [];
+  const connection = [];
+  let namespace = null;
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--') break;
+    if (!arg.startsWith('-') || arg === '-') {
+      positions.push(i);
+      continue;
+    }
+    const equals = arg.indexOf('=');
+    const name = equals === -1 ? arg : arg.slice(0, equals);
+    const inline = equals !== -1;
+    const value = inline ? arg.slice(equals + 1) : args[i + 1];
+    if (NAMESPACE_OPTIONS.has(name) && value !== undefined) {
+      namespace = { value, position: inline ? i : i + 1, prefix: inline ? `${name}=` : '' };
+    }
+    if (CONNECTION_OPTIONS.has(name) && value !== undefined) connection.push(`${name}=${value}`);
+    if (!inline && VALUE_OPTIONS.has(name)) i += 1;
+  }
+  return { positions, namespace, connection, verb: positions.length ? args[positions[0]] : null };
+}
+
+function isKnownType(token, types) {
+  // `deployments.apps`, `deployment.v1.apps`: the group suffix is not part of the name.
+  return types.includes(token.toLowerCase().split('.')[0]);
+}
+
+// The argument to correct and its candidates as whole tokens, keeping what surrounds the
+// mistyped part: "pod/" + name, "--namespace=" + namespace, type + "/name".
+function atToken(position, prefix, suffix, values) {
+  return { position, candidates: () => values().map((value) => `${prefix}${value}${suffix}`) };
+}
+
+function findType(args, parsed, type) {
+  for (const position of parsed.positions.slice(1)) {
+    const token = args[position];
+    const slash = token.indexOf('/');
+    const name = slash === -1 ? token : token.slice(0, slash);
+    if (name !== type || token.includes(',')) continue;
+    const suffix = slash === -1 ? '' : token.slice(slash);
+    return atToken(position, '', suffix, () => getResourceTypes(parsed.connection, parsed.context));
+  }
+  return null;
+}
+
+function findName(args, parsed, type, name) {
+  for (const position of parsed.positions.slice(1)) {
+    const token = args[position];
+    if (token !== name && !token.endsWith(`/${name}`)) continue;
+    const prefix = token.slice(0, token.length - name.length);
+    const namespace = parsed.namespace && parsed.namespace.value;
+    return atToken(position, prefix, '', () => getResourceNames(type, namespace, parsed.connection, parsed.context));
+  }
+  return null;
+}
+
+function findNamespace(parsed, name) {
+  const { namespace } = parsed;
+  if (!namespace || namespace.value !== name) return null;
+  return atToken(namespace.position, namespace.prefix, '', () => getNamespaces(parsed.connection, parsed.context));
+}
+
+// Without error output to go by, only the resource type after a listing verb and the
+// namespace are checked against what the cluster reports.
+function findUnknown(args, parsed) {
+  const typeToken = TYPED_VERBS.has(parsed.verb) ? args[parsed.positions[1]] : undefined;
+  if (typeToken && !typeToken.includes(',')) {
+    const type = typeToken.split('/')[0];
+    if (!isKnownType(type, getResourceTypes(parsed.connection, parsed.context))) return findType(args, parsed, type);
+  }
+  if (parsed.namespace && !getNamespaces(parsed.connection, parsed.context).includes(parsed.namespace.value)) {
+    return findNamespace(parsed, parsed.namespace.value);
+  }
+  return null;
+}
+
+// The mistyped resource type, resource name or namespace in a kubectl argv, or null.
+// Nothing is corrected under a verb that removes or evicts. `context` ({ cwd, env }) is what
+// kubectl is run with for the lookups.
+function findProblem(args, combinedOutput, context = {}) {
+  const parsed = { ...parseArgs(args), context };
+  if (parsed.positions.some((position) => REFUSED_VERBS.has(args[position]))) return null;
+  if (combinedOutput === null) return findUnknown(args, parsed);
+
+  const typeError = combinedOutput.match(TYPE_ERROR_PATTERN);
+  if (typeError) {
+    if (isKnownType(typeError[1], getResourceTypes(parsed.connection, parsed.context))) return null;
+    return findType(args, parsed, typeError[1]);
+  }
+  const notFound = combinedOutput.match(NOT_FOUND_PATTERN);
+  const emptyNamespace = combinedOutput.match(EMPTY_NAMESPACE_PATTERN);
+  if ((notFound && notFound[1] === 'namespaces') || emptyNamespace) {
+    const name = notFound && notFound[1] === 'namespaces' ? notFound[2] : emptyNamespace[1];
+    if (getNamespaces(parsed.connection, parsed.context).includes(name)) return null;
+    return findNamespace(parsed, name);
+  }
+  if (notFound) {
+    const [, type, name] = notFound;
+    const namespace = parsed.namespace && parsed.namespace.value;
+    if (getResourceNames(type, namespace, parsed.connection, parsed.context).includes(name)) return null;
+    return findName(args, parsed, type, name);
+  }
+  return null;
+}
+
+function isEmptyNamespaceResult(output) {
+  return EMPTY_NAMESPACE_PATTERN.test(output);
+}
+
+module.exports = {
+  REFUSED_VERBS,
+  getCachePath,
+  clearCache,
+  getResourceTypes,
+  getResourceNames,
+  getNamespaces,
+  parseApiResources,
+  parseArgs,
+  findProblem,
+  isEmptyNamespaceResult
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Where each shell keeps its history file when HISTFILE is not exported to us.
+function getHistoryFile(shell, env = process.env) {
+  const home = os.homedir();
+  if (shell === 'bash') return path.join(home, '.bash_history');
+  if (shell === 'zsh') return path.join(env.ZDOTDIR || home, '.zsh_history');
+  if (shell === 'fish') return path.join(env.XDG_DATA_HOME || path.join(home, '.local', 'share'), 'fish', 'fish_history');
+  return null;
+}
+
+// History entries, oldest first. bash files may carry `#<epoch>` lines (HISTTIMEFORMAT),
+// zsh ones `: <epoch>:<duration>;` prefixes (EXTENDED_HISTORY) and backslash-continued
+// lines, and fish writes `- cmd: ...` records with \n and \\ escaped.
+function parseHistory(shell, text) {
+  const lines = text.split(/\r?\n/);
+  if (shell === 'fish') {
+    return lines
+      .filter((item) => item.startsWith('- cmd: '))
+      .map((item) => item.slice('- cmd: '.length).replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char)));
+  }
+  if (shell === 'zsh') {
+    const entries = [];
+    let pending = null;
+    for (const item of lines) {
+      const entry = pending === null ? item.replace(/^: \d+:\d+;/, '') : `${pending}\n${item}`;
+      pending = entry.endsWith('\\') ? entry.slice(0, -1) : null;
+      if (pending === null && entry.trim()) entries.push(entry);
+    }
+    return entries;
+  }
+  return lines.filter((item) => item.trim() && !/^#\d+$/.test(item));
+}
+
+// The previous command line and its exit status, as { line, status, source }: from the
+// variables the shell hook exports after every command, else the newest entry of the login
+// shell's history file, whose status is unknown (null). Lines that ran fuzzrun itself are
+// skipped there. Returns null when neither has a command.
+function getLastCommand(env = process.env) {
+  if (env.FUZZRUN_LAST_COMMAND && env.FUZZRUN_LAST_COMMAND.trim()) {
+    // An unset, empty or garbled status is unknown, never "succeeded".
+    const status = /^\s*\d+\s*$/.test(env.FUZZRUN_LAST_STATUS || '') ? Number(env.FUZZRUN_LAST_STATUS) : null;
+    return { line: env.FUZZRUN_LAST_COMMAND.trim(), status, source: 'hook' };
+  }
+  const shell = path.basename(env.SHELL || '');
+  const file = getHistoryFile(shell, env);
+  if (!file) return null;
+  let entries;
+  try {
+    entries = parseHistory(shell, fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+  const line = entries.reverse().find((item) => !/^\s*fuzzrun(\s|$)/.test(item));
+  return line ? { line: line.trim(), status: null, source: file } : null;
+}
+
+module.exports = {
+  parseHistory,
+  getLastCommand
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const os = require('os');
+
+// Characters that end the first simple command of a line: pipes, lists, redirections, subshells.
+const OPERATORS = new Set(['|', '&', ';', '<', '>', '(', ')', '\n']);
+// Unquoted, these make a word something the shell expands, so its value is not known here.
+const EXPANSIONS = /[$`*?[{]/;
+
+// The words of the first simple command in a line-editor buffer, as
+// { value, start, end, plain, expands }: `value` is the word with quotes and escapes removed,
+// start/end index the raw text, and `plain` words (no quoting, nothing to expand, no ~) are
+// the only ones that may be rewritten. Returns null for a buffer without a command.
+function parseLine(buffer) {
+  const words = [];
+  let i = 0;
+  while (i < buffer.length) {
+    while (i < buffer.length && (buffer[i] === ' ' || buffer[i] === '\t')) i += 1;
+    if (i >= buffer.length || OPERATORS.has(buffer[i]) || buffer[i] === '#') break;
+    const start = i;
+    let value = '';
+    let plain = true;
+    let expands = false;
+    while (i < buffer.length && !/[ \t]/.test(buffer[i]) && !OPERATORS.has(buffer[i])) {
+      const char = buffer[i];
+      if (char === "'" || char === '"') {
+        const close = buffer.indexOf(char, i + 1);
+        if (close === -1) return null;
+        const quoted = buffer.slice(i + 1, close);
+        if (char === '"' && /[$`\\]/.test(quoted)) return null;
+        value += quoted;
+        plain = false;
+        i = close + 1;
+      } else if (char === '\\') {
+        if (i + 1 >= buffer.length) return null;
+        value += buffer[i + 1];
+        plain = false;
+        i += 2;
+      } else {
+        if (EXPANSIONS.test(char)) expands = true;
+        if (expands || char === '~') plain = false;
+        value += char;
+        i += 1;
+      }
+    }
+    words.push({ value, start, end: i, plain, expands });
+  }
+  return words.length ? words : null;
+}
+
+// The buffer with words[index] replaced by replacements[index] wherever one is given.
+function rewriteLine(buffer, words, replacements) {
+  let result = '';
+  let last = 0;
+  words.forEach((word, index) => {
+    if (replacements[index] === undefined) return;
+    result += buffer.slice(last, word.start) + replacements[index];
+    last = word.end;
+  });
+  return result + buffer.slice(last);
+}
+
+// The argv a command line from the shell's history would run, or null when running it
+// takes more than spawning one program: pipes and lists, redirections, or expansions other
+// than a leading ~.
+function parseCommandLine(text) {
+  const words = parseLine(text);
+  if (!words) return null;
+  const rest = text.slice(words[words.length - 1].end).trim();
+  if ((rest && !rest.startsWith('#')) || words.some((word) => word.expands)) return null;
+  const argv = [];
+  for (const word of words) {
+    if (text[word.start] !== '~') {
+      argv.push(word.value);
+    } else if (/^~(?=$|\/)/.test(word.value)) {
+      argv.push(os.homedir() + word.value.slice(1));
+    } else {
+      return null;
+    }
+  }
+  return argv;
+}
+
+module.exports = {
+  parseLine,
+  rewriteLine,
+  parseCommandLine
+};
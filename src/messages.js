@@ -0,0 +1,137 @@
+'use strict';
+
+const config = require('./config');
+
+// Quotes a localized message may open a name with: 'x', `x', "x", « x », „x“, »x«.
+const QUOTE = '[`\'"«„»“]?\\s?';
+
+// What the correctors look for in a failed command's output, per kind of message and
+// language. Every language is tried whatever the user's locale, so a German git is read
+// the same way as an English one. The capture group, where there is one, is the name the
+// message is about.
+const CATALOG = {
+  // "Did you mean" lines; the capture is the suggested subcommand.
+  suggestion: {
+    en: [
+      /The most similar command is\s+([^\s]+)/i,
+      /The most similar commands are:\s*\n\s*([^\s]+)/i,
+      /Did you mean\s+['"]?([A-Za-z0-9:_-]+)['"]?\??/i,
+      /Unknown command\s+['"]?([A-Za-z0-9:_-]+)['"]?\??/i,
+      /Perhaps you meant\s+['"]?([A-Za-z0-9:_-]+)['"]?\??/i
+    ],
+    de: [/Der ähnlichste Befehl ist\s+([^\s]+)/i, /Die ähnlichsten Befehle sind:?\s*\n\s*([^\s]+)/i],
+    fr: [
+      /La commande la plus (?:ressemblante|similaire) est\s*:?\s+([^\s]+)/i,
+      /Les commandes les plus (?:ressemblantes|similaires) sont\s*:?\s*\n\s*([^\s]+)/i
+    ],
+    es: [
+      /El comando más (?:similar|parecido) es\s+([^\s]+)/i,
+      /Los comandos más (?:similares|parecidos) son:?\s*\n\s*([^\s]+)/i
+    ]
+  },
+  // npm, yarn and pnpm print these in English only.
+  scriptError: {
+    en: [/missing script/i, /unknown script/i, /script.*not found/i, /couldn'?t find.*script/i, /command ".*" not found/i]
+  },
+  // git naming a ref it could not resolve.
+  gitRef: {
+    en: [
+      /pathspec '([^']+)' did not match/i,
+      /invalid reference: (\S+)/i,
+      /merge: (\S+) - not something we can merge/i,
+      /invalid upstream '([^']+)'/i,
+      /ambiguous argument '([^']+)': unknown revision/i,
+      /branch '([^']+)' not found/i,
+      /src refspec (\S+) does not match any/i
+    ],
+    de: [
+      /Pfadspezifikation '([^']+)' stimmt mit keine/i,
+      /Ungültige Referenz: (\S+)/i,
+      /merge: (\S+) - nichts, was wir zusammenführen können/i,
+      /Branch '([^']+)' nicht gefunden/i
+    ],
+    fr: [
+      /le spécificateur de chemin '([^']+)' ne correspond/i,
+      /référence invalide\s?: (\S+)/i,
+      /merge\s?: (\S+) - pas une chose que nous pouvons fusionner/i,
+      /branche '([^']+)' non trouvée/i
+    ],
+    es: [
+      /pathspec '([^']+)' no (?:concordó|coincide|concuerda)/i,
+      /referencia inválida: (\S+)/i,
+      /merge: (\S+) - no es algo que podamos fusionar/i,
+      /rama '([^']+)' no encontrada/i
+    ]
+  },
+  // `git push orgin`: the capture is the remote.
+  gitRemote: {
+    en: [/'([^']+)' does not appear to be a git repository/i],
+    de: [/'([^']+)' scheint kein Git-Repository zu sein/i],
+    fr: [/'([^']+)' ne semble pas être un dépôt git/i],
+    es: [/'([^']+)' no parece ser un repositorio git/i]
+  },
+  // strerror(ENOENT) and friends, as libc, Node, Python and coreutils print them.
+  pathError: {
+    en: [/no such file or directory/i, /\bENOENT\b/, /cannot find (?:the path|module)/i, /can'?t open file/i, /cannot access/i],
+    de: [/Datei oder Verzeichnis nicht gefunden/i, /Zugriff auf .+ nicht möglich/i, /kann Datei .+ nicht öffnen/i],
+    fr: [/Aucun fichier ou (?:dossier|répertoire) de ce (?:nom|type)/i, /impossible d'accéder à/i, /impossible d'ouvrir le fichier/i],
+    es: [/No existe el (?:archivo|fichero) o (?:el )?directorio/i, /no se puede acceder a/i, /no se puede abrir el archivo/i]
+  },
+  // GNU make without a rule for the target; the capture is the target.
+  makeTarget: {
+    en: [/no rule to make target [`'"]?([^`'"\s]+?)[`'"]?[,.]/i, /don't know how to make ([^\s.]+)/i],
+    de: [/Keine Regel vorhanden, um das Ziel [„"'»]([^“"'«\s]+)[“"'«]/i],
+    fr: [/Aucune règle pour fabriquer la cible « ?([^»\s]+) ?»/i],
+    es: [/No hay ninguna regla para construir el objetivo [«"']([^»"'\s]+)[»"']/i]
+  },
+  // An unknown option; the capture is the option, with or without its dashes.
+  flagError: {
+    en: [
+      /unknown (?:option|switch|flag)[:\s]+[`'"]?(-{0,2}[A-Za-z0-9][\w-]*)/i,
+      /unrecognized (?:option|arguments?)[:\s]+[`'"]?(-{0,2}[A-Za-z0-9][\w-]*)/i,
+      /invalid option[:\s]+[`'"]?(--[A-Za-z0-9][\w-]*)/i,
+      /no such option[:\s]+(--[A-Za-z0-9][\w-]*)/i
+    ],
+    de: [new RegExp(`(?:unbekannte|nicht erkannte) Option:?\\s*${QUOTE}(-{0,2}[A-Za-z0-9][\\w-]*)`, 'i')],
+    fr: [new RegExp(`option (?:inconnue|non reconnue)\\s?:?\\s*${QUOTE}(-{0,2}[A-Za-z0-9][\\w-]*)`, 'i')],
+    es: [new RegExp(`opción (?:desconocida|no reconocida):?\\s*${QUOTE}(-{0,2}[A-Za-z0-9][\\w-]*)`, 'i')]
+  }
+};
+
+const LANGUAGES = ['en', 'de', 'fr', 'es'];
+
+// English first, then the other languages in catalog order.
+function getPatterns(kind) {
+  const entry = CATALOG[kind];
+  if (!entry) throw new Error(`unknown message kind: ${kind}`);
+  return LANGUAGES.flatMap((language) => entry[language] || []);
+}
+
+function matchMessage(kind, text) {
+  if (!text) return null;
+  for (const pattern of getPatterns(kind)) {
+    const match = text.match(pattern);
+    if (match) return match;
+  }
+  return null;
+}
+
+function hasMessage(kind, text) {
+  return Boolean(matchMessage(kind, text));
+}
+
+// Environment for the commands FuzzRun runs on its own (help output, cluster and container
+// lookups): `env` untranslated unless forceCLocale is turned off for `cwd`.
+function getProbeEnv(env = process.env, cwd = process.cwd()) {
+  const { forceCLocale } = config.loadConfig({ cwd, env }).values;
+  return forceCLocale ? { ...env, LC_ALL: 'C', LANG: 'C' } : env;
+}
+
+module.exports = {
+  CATALOG,
+  LANGUAGES,
+  getPatterns,
+  matchMessage,
+  hasMessage,
+  getProbeEnv
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+const path = require('path');
+const store = require('./store');
+
+const BAN_ALL = '*';
+
+// Keys are the typo as FuzzRun shows it: "kubctl" for a base command, "git stauts" for a
+// subcommand, "npm run biuld" for a script, "git commit --ammend" for an option,
+// "git checkout mian" for a ref and "kubectl pdos" for a kubectl type, name or namespace.
+function getOverridesPath() {
+  return path.join(store.getDataDir(), 'overrides.json');
+}
+
+function normalize(raw) {
+  const value = raw && typeof raw === 'object' ? raw : {};
+  return {
+    pins: value.pins && typeof value.pins === 'object' ? value.pins : {},
+    bans: value.bans && typeof value.bans === 'object' ? value.bans : {}
+  };
+}
+
+let cached = null;
+
+function readOverrides() {
+  if (!cached) cached = normalize(store.readJson(getOverridesPath(), {}));
+  return cached;
+}
+
+function update(mutate) {
+  const next = store.updateJson(getOverridesPath(), (raw) => {
+    const value = normalize(raw);
+    mutate(value);
+    return value;
+  });
+  cached = null;
+  return normalize(next);
+}
+
+function getPin(typo) {
+  const { pins } = readOverrides();
+  return Object.prototype.hasOwnProperty.call(pins, typo) ? pins[typo] : null;
+}
+
+// Returns a Set of banned fixes for the typo; it contains BAN_ALL when every fix is banned.
+function getBans(typo) {
+  const { bans } = readOverrides();
+  return new Set(Object.prototype.hasOwnProperty.call(bans, typo) ? bans[typo] : []);
+}
+
+function pin(typo, fix) {
+  return update((value) => {
+    value.pins[typo] = fix;
+  });
+}
+
+function unpin(typo) {
+  return update((value) => {
+    delete value.pins[typo];
+  });
+}
+
+function ban(typo, fix = BAN_ALL) {
+  return update((value) => {
+    const current = new Set(value.bans[typo] || []);
+    current.add(fix);
+    value.bans[typo] = [...current].sort();
+  });
+}
+
+function unban(typo, fix = null) {
+  return update((value) => {
+    if (!fix) {
+      delete value.bans[typo];
+      return;
+    }
+    const remaining = (value.bans[typo] || []).filter((item) => item !== fix);
+    if (remaining.length) {
+      value.bans[typo] = remaining;
+    } else {
+      delete value.bans[typo];
+    }
+  });
+}
+
+module.exports = {
+  BAN_ALL,
+  getOverridesPath,
+  readOverrides,
+  getPin,
+  getBans,
+  pin,
+  unpin,
+  ban,
+  unban
+};
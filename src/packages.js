@@ -0,0 +1,138 @@
+'use strict';
+
+const POPULAR_PACKAGES = require('./popular-packages.json');
+
+// Package-manager commands that install by name. `verbs` precede the names (any positional
+// after one is a package); npx installs only its first positional, or the -p values.
+const INSTALLERS = {
+  npm: { ecosystem: 'npm', verbs: ['install', 'i', 'add'] },
+  yarn: { ecosystem: 'npm', verbs: ['add'] },
+  pnpm: { ecosystem: 'npm', verbs: ['add', 'install', 'i'] },
+  npx: { ecosystem: 'npm', verbs: null },
+  pip: { ecosystem: 'pypi', verbs: ['install'] },
+  pip3: { ecosystem: 'pypi', verbs: ['install'] }
+};
+
+// Options whose value is the next argument, not a package.
+const VALUE_OPTIONS = new Set([
+  '--registry',
+  '--cache',
+  '--prefix',
+  '--tag',
+  '--omit',
+  '--include',
+  '-w',
+  '--workspace',
+  '--filter',
+  '-r',
+  '--requirement',
+  '-c',
+  '--constraint',
+  '-e',
+  '--editable',
+  '-i',
+  '--index-url',
+  '--extra-index-url',
+  '-f',
+  '--find-links',
+  '-t',
+  '--target',
+  '--root',
+  '--src',
+  '--platform',
+  '--python-version',
+  '--only-binary',
+  '--no-binary',
+  '--upgrade-strategy'
+]);
+const NPX_PACKAGE_OPTIONS = new Set(['-p', '--package']);
+
+// "lodash@4", "@types/node@20" -> the registry name; paths, URLs, tarballs and
+// GitHub shorthands ("user/repo") are not registry names.
+function npmName(spec) {
+  if (/^(\.{0,2}\/|~|[a-z+]+:)/i.test(spec) || /\.(tgz|tar\.gz)$/i.test(spec)) return null;
+  const match = spec.match(/^(@[^/@\s]+\/[^/@\s]+|[^/@\s]+)(?:@.*)?$/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// "Requests[socks]>=2.0" -> "requests"; names compare case-insensitively with -, _ and . alike.
+function pypiName(spec) {
+  if (/[\\/]/.test(spec) || /^[a-z+]+:/i.test(spec) || /\.(whl|zip|tar\.gz)$/i.test(spec)) return null;
+  const match = spec.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)/);
+  return match ? normalizePypiName(match[1]) : null;
+}
+
+function normalizePypiName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+// `python -m pip install x` is `pip install x` two arguments later.
+function resolveInstaller(command, args) {
+  if (/^python[\d.]*$/.test(command) && args[0] === '-m' && /^pip3?$/.test(args[1])) {
+    return { installer: INSTALLERS.pip, offset: 2 };
+  }
+  return INSTALLERS[command] ? { installer: INSTALLERS[command], offset: 0 } : null;
+}
+
+// The package names an install command asks for, as { ecosystem, packages: [{ name, position }] },
+// or null when the command installs nothing by name.
+function findPackages(command, args) {
+  const resolved = resolveInstaller(command, args);
+  if (!resolved) return null;
+  const { installer, offset } = resolved;
+  const parseName = installer.ecosystem === 'pypi' ? pypiName : npmName;
+  const packages = [];
+  let verbSeen = installer.verbs === null;
+  const add = (position) => {
+    const name = parseName(args[position]);
+    if (name) packages.push({ name, position });
+  };
+  for (let i = offset; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--') break;
+    if (arg.startsWith('-')) {
+      if (installer.verbs === null && NPX_PACKAGE_OPTIONS.has(arg) && args[i + 1]) add(i + 1);
+      if (installer.verbs === null && arg.startsWith('--package=')) {
+        const name = npmName(arg.slice('--package='.length));
+        if (name) packages.push({ name, position: i });
+      }
+      if (VALUE_OPTIONS.has(arg) || NPX_PACKAGE_OPTIONS.has(arg)) i += 1;
+      continue;
+    }
+    if (!verbSeen) {
+      // `yarn global add`: the verb may follow a scope word; anything else installs nothing.
+      if (installer.verbs.includes(arg)) {
+        verbSeen = true;
+      } else if (arg !== 'global') {
+        return null;
+      }
+      continue;
+    }
+    // npx runs its first positional, which is a package unless -p named them; the rest are
+    // that command's arguments.
+    if (installer.verbs === null) {
+      if (!packages.length) add(i);
+      break;
+    }
+    add(i);
+  }
+  return packages.length ? { ecosystem: installer.ecosystem, packages } : null;
+}
+
+function getPopularPackages(ecosystem) {
+  return POPULAR_PACKAGES[ecosystem] || [];
+}
+
+// Popular names, and well-known ones that sit an edit from a popular name without being a
+// lookalike of it (`preact`, `vuex`, `boto`, `attr`).
+function isKnownPackage(ecosystem, name) {
+  return getPopularPackages(ecosystem).includes(name) || (POPULAR_PACKAGES[`${ecosystem}Known`] || []).includes(name);
+}
+
+module.exports = {
+  INSTALLERS,
+  findPackages,
+  getPopularPackages,
+  isKnownPackage,
+  normalizePypiName
+};
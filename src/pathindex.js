@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+// Executable names per PATH directory, keyed by directory and reused while its mtime is unchanged.
+// Adding, removing or renaming a file bumps the directory mtime; a chmod alone does not.
+function getIndexPath() {
+  return path.join(store.getDataDir(), 'path-index.json');
+}
+
+function getPathEntries(env = process.env) {
+  return [...new Set((env.PATH || '').split(path.delimiter).filter(Boolean))];
+}
+
+function getAllowedExts(env = process.env) {
+  return new Set(
+    (env.PATHEXT || '.COM;.EXE;.BAT;.CMD')
+      .toLowerCase()
+      .split(';')
+      .filter(Boolean)
+  );
+}
+
+function isExecutable(filePath) {
+  try {
+    if (!fs.statSync(filePath).isFile()) return false;
+    fs.accessSync(filePath, fs.constants.X_OK);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function scanDir(dir, env = process.env) {
+  const names = new Set();
+  const allowedExts = getAllowedExts(env);
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (item.isDirectory()) continue;
+    if (process.platform === 'win32') {
+      const ext = path.extname(item.name).toLowerCase();
+      const base = path.basename(item.name, ext);
+      if (!base) continue;
+      if (ext && !allowedExts.has(ext)) continue;
+      names.add(base);
+    } else if (isExecutable(path.join(dir, item.name))) {
+      names.add(item.name);
+    }
+  }
+  return [...names].sort();
+}
+
+function readIndex() {
+  const parsed = store.readJson(getIndexPath(), {});
+  return parsed && parsed.dirs && typeof parsed.dirs === 'object' ? parsed : { dirs: {} };
+}
+
+// Only directories whose mtime moved are read again; `force` rescans all of them.
+function loadIndex({ env = process.env, force = false } = {}) {
+  const index = readIndex();
+  const dirs = {};
+  let changed = force;
+  for (const dir of getPathEntries(env)) {
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(dir).mtimeMs;
+    } catch (err) {
+      continue;
+    }
+    const cached = index.dirs[dir];
+    if (!force && cached && cached.mtimeMs === mtimeMs && Array.isArray(cached.commands)) {
+      dirs[dir] = cached;
+      continue;
+    }
+    try {
+      dirs[dir] = { mtimeMs, commands: scanDir(dir, env), scannedAt: new Date().toISOString() };
+      changed = true;
+    } catch (err) {
+      // Ignore unreadable PATH entries.
+    }
+  }
+  if (changed) {
+    try {
+      store.writeJson(getIndexPath(), { dirs: { ...index.dirs, ...dirs } });
+    } catch (err) {
+      // Best-effort only.
+    }
+  }
+  return dirs;
+}
+
+function getCommands(options = {}) {
+  const names = new Set();
+  for (const entry of Object.values(loadIndex(options))) {
+    for (const name of entry.commands) names.add(name);
+  }
+  return names;
+}
+
+function getStats(env = process.env) {
+  const { dirs } = readIndex();
+  const entries = getPathEntries(env).filter((dir) => dirs[dir]);
+  const commands = new Set(entries.flatMap((dir) => dirs[dir].commands));
+  const stale = entries.filter((dir) => {
+    try {
+      return fs.statSync(dir).mtimeMs !== dirs[dir].mtimeMs;
+    } catch (err) {
+      return true;
+    }
+  });
+  return {
+    path: getIndexPath(),
+    dirs: entries.length,
+    pathDirs: getPathEntries(env).length,
+    commands: commands.size,
+    stale: stale.length
+  };
+}
+
+function clearIndex() {
+  try {
+    fs.rmSync(getIndexPath(), { force: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  getIndexPath,
+  getCommands,
+  loadIndex,
+  getStats,
+  clearIndex
+};
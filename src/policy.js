@@ -0,0 +1,316 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Verdicts, least restrictive first: run it, run it only after a yes, never run it.
+const LEVELS = ['safe', 'confirm', 'never'];
+
+// A policy matches an argv when its base matches ('*' is any command), its subcommand (one
+// or more words, when given) matches the first words that are not options, and any of its
+// flags or patterns (when given) matches an argument. Short flags also match inside a
+// cluster: -f is found in `git clean -fdx`.
+const DANGEROUS_BASES = ['rm', 'mv', 'dd', 'unlink', 'rmdir', 'shred', 'shutdown', 'reboot', 'halt', 'poweroff'];
+const BUILTIN_POLICIES = [
+  { base: '*', flags: ['--force', '--hard', '--delete', '--purge', '--no-preserve-root', '-rf', '-fr'], level: 'never' },
+  { base: DANGEROUS_BASES, level: 'never' },
+  { base: ['cp', 'ln'], flags: ['-f'], level: 'confirm' },
+  // In-place edits: `sed -i`, `sed -i.bak`, `perl -pi -e`.
+  { base: ['sed', 'perl'], patterns: ['^-[A-Za-z]*i', '^--in-place'], level: 'confirm' },
+  // Actions that delete, or run arbitrary commands on, whatever the path arguments name.
+  { base: 'find', flags: ['-delete', '-exec', '-execdir', '-ok', '-okdir'], level: 'never' },
+  { base: 'rsync', flags: ['--remove-source-files'], level: 'never' },
+  { base: 'tar', flags: ['--remove-files'], level: 'never' },
+  { base: 'git', subcommand: 'push', flags: ['-f', '--force', '-d', '--delete', '--mirror', '--prune'], level: 'never' },
+  { base: 'git', subcommand: 'push', flags: ['--force-with-lease', '--force-if-includes'], level: 'confirm' },
+  // Refspecs that force (`+main`) or delete (`:main`) the remote branch.
+  { base: 'git', subcommand: 'push', patterns: ['^\\+', '^:'], level: 'never' },
+  { base: 'git', subcommand: ['clean', 'filter-branch', 'stash drop', 'stash clear'], level: 'never' },
+  { base: 'git', subcommand: 'reset', flags: ['--hard', '--merge', '--keep'], level: 'never' },
+  { base: 'git', subcommand: ['checkout', 'switch'], flags: ['-f', '--force', '--discard-changes'], level: 'never' },
+  { base: 'git', subcommand: 'branch', flags: ['-D', '-M', '-C', '-f', '--force'], level: 'never' },
+  { base: 'kubectl', subcommand: ['delete', 'drain', 'cordon', 'taint'], level: 'never' },
+  { base: 'kubectl', subcommand: ['apply', 'create', 'replace', 'patch', 'scale', 'rollout'], level: 'confirm' },
+  {
+    base: 'docker',
+    subcommand: [
+      'rm',
+      'rmi',
+      'kill',
+      'container rm',
+      'image rm',
+      'volume rm',
+      'compose rm',
+      'system prune',
+      'container prune',
+      'image prune',
+      'volume prune',
+      'network prune',
+      'builder prune'
+    ],
+    level: 'never'
+  },
+  { base: 'docker', subcommand: 'compose down', level: 'confirm' },
+  { base: 'docker', subcommand: 'compose down', flags: ['-v', '--volumes', '--rmi'], level: 'never' },
+  { base: 'docker-compose', subcommand: 'rm', level: 'never' },
+  { base: 'docker-compose', subcommand: 'down', level: 'confirm' },
+  { base: 'docker-compose', subcommand: 'down', flags: ['-v', '--volumes', '--rmi'], level: 'never' },
+  { base: 'npm', subcommand: 'unpublish', level: 'never' },
+  { base: ['npm', 'yarn', 'pnpm'], subcommand: ['publish', 'deprecate'], level: 'confirm' },
+  { base: 'terraform', subcommand: 'destroy', level: 'never' },
+  { base: 'terraform', subcommand: 'apply', level: 'confirm' },
+  { base: 'helm', subcommand: ['uninstall', 'delete'], level: 'never' }
+];
+
+function getPoliciesDir() {
+  return path.join(os.homedir(), '.fuzzrun', 'policies');
+}
+
+function toList(value, field) {
+  if (value === undefined) return null;
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length || !list.every((item) => typeof item === 'string' && item.trim())) {
+    throw new Error(`"${field}" must be a non-empty string or list of strings`);
+  }
+  return list.map((item) => item.trim());
+}
+
+// Validates one policy and precompiles it; `order` ranks its source (later sources win ties).
+function normalizePolicy(entry, source, order) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error('a policy must be an object');
+  if (!LEVELS.includes(entry.level)) throw new Error(`"level" must be one of ${LEVELS.join(', ')}`);
+  const bases = toList(entry.base, 'base');
+  if (!bases) throw new Error('"base" is required');
+  const patterns = (toList(entry.patterns, 'patterns') || []).map((item) => new RegExp(item));
+  return {
+    base: bases.map((item) => item.toLowerCase()),
+    subcommand: (toList(entry.subcommand, 'subcommand') || []).map((item) => item.split(/\s+/)),
+    flags: toList(entry.flags, 'flags') || [],
+    patterns,
+    level: entry.level,
+    source,
+    order
+  };
+}
+
+// `~/.fuzzrun/policies/*.json`: a list of policies, or { "policies": [...] }.
+function readPolicyFile(file, order) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.policies;
+  if (!Array.isArray(entries)) throw new Error('expected a list of policies');
+  return entries.map((entry) => normalizePolicy(entry, file, order));
+}
+
+// Built-ins, then the user's policy files in name order, then the older dangerousBases and
+// riskyArgPatterns settings, which read as "never" policies.
+function loadPolicies({ dangerousBases = [], riskyArgPatterns = [], onError } = {}) {
+  const policies = BUILTIN_POLICIES.map((entry) => normalizePolicy(entry, 'built-in', 0));
+  let names = [];
+  try {
+    names = fs.readdirSync(getPoliciesDir()).filter((name) => name.endsWith('.json')).sort();
+  } catch (err) {
+    // No user policies.
+  }
+  names.forEach((name, index) => {
+    const file = path.join(getPoliciesDir(), name);
+    try {
+      policies.push(...readPolicyFile(file, index + 1));
+    } catch (err) {
+      if (onError) onError(file, err);
+    }
+  });
+  const order = names.length + 1;
+  if (dangerousBases.length) policies.push(normalizePolicy({ base: dangerousBases, level: 'never' }, 'config', order));
+  if (riskyArgPatterns.length) {
+    policies.push(normalizePolicy({ base: '*', patterns: riskyArgPatterns, level: 'never' }, 'config', order));
+  }
+  return policies;
+}
+
+function baseName(command) {
+  return path
+    .basename(String(command || ''))
+    .toLowerCase()
+    .replace(/\.(exe|cmd|bat|ps1)$/, '');
+}
+
+// Options that take the next argument as their value, per base. Their values are never read as
+// words, so the verb is found however many of them come first: `git -c k=v -C repo clean`,
+// `kubectl --context prod -n kube-system delete`, `docker compose -f dev.yml down`.
+const VALUE_OPTIONS = {
+  git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--super-prefix', '--config-env'],
+  kubectl: [
+    '-n',
+    '--namespace',
+    '--context',
+    '--kubeconfig',
+    '--cluster',
+    '--user',
+    '-s',
+    '--server',
+    '--token',
+    '--as',
+    '--as-group',
+    '--as-uid',
+    '--cache-dir',
+    '--certificate-authority',
+    '--client-certificate',
+    '--client-key',
+    '--tls-server-name',
+    '--request-timeout',
+    '-v',
+    '--v',
+    '-f',
+    '--filename',
+    '-l',
+    '--selector'
+  ],
+  docker: [
+    '-c',
+    '--context',
+    '-H',
+    '--host',
+    '-l',
+    '--log-level',
+    '--config',
+    '--tlscacert',
+    '--tlscert',
+    '--tlskey',
+    '-f',
+    '--file',
+    '-p',
+    '--project-name',
+    '--project-directory',
+    '--env-file',
+    '--profile',
+    '--ansi',
+    '--progress',
+    '--parallel'
+  ],
+  'docker-compose': ['-f', '--file', '-p', '--project-name', '--project-directory', '--env-file', '--profile', '-H', '--host', '--context', '--ansi'],
+  npm: ['--prefix', '-w', '--workspace', '--registry', '--userconfig', '--cache'],
+  pnpm: ['-C', '--dir', '-F', '--filter'],
+  yarn: ['--cwd'],
+  helm: ['-n', '--namespace', '--kube-context', '--kubeconfig', '--kube-apiserver', '--kube-token', '--registry-config', '--repository-config']
+};
+const VALUE_OPTION_SETS = new Map(Object.entries(VALUE_OPTIONS).map(([base, options]) => [base, new Set(options)]));
+
+// The words that are neither options nor the values of known ones (see VALUE_OPTIONS), and
+// whether the first of them may be the value of an unknown option (`tool --opt value delete`),
+// in which case a subcommand may start after it.
+function getWords(base, args) {
+  const valueOptions = VALUE_OPTION_SETS.get(base) || new Set();
+  const words = [];
+  let skippable = false;
+  for (let i = 0; i < args.length && args[i] !== '--'; i += 1) {
+    const arg = args[i];
+    if (arg.startsWith('-') && arg !== '-') {
+      if (valueOptions.has(arg)) i += 1;
+      continue;
+    }
+    if (!words.length) skippable = i > 0 && args[i - 1].startsWith('-') && !args[i - 1].includes('=');
+    words.push(arg);
+  }
+  return { words, skippable };
+}
+
+function matchesSubcommand(words, skippable, subcommand) {
+  const starts = skippable ? [0, 1] : [0];
+  return starts.some((start) => subcommand.every((word, index) => words[start + index] === word));
+}
+
+function hasFlag(args, flag) {
+  const end = args.indexOf('--');
+  const options = end === -1 ? args : args.slice(0, end);
+  const short = /^-[A-Za-z]$/.test(flag) ? flag[1] : null;
+  return options.some(
+    (arg) => arg === flag || arg.startsWith(`${flag}=`) || (short && /^-[A-Za-z]+$/.test(arg) && arg.includes(short))
+  );
+}
+
+// More specific policies win: a named base over '*', a longer subcommand over a shorter one,
+// flags over none. Ties go to the later source, then to the stricter level. A "never" policy on
+// flags or patterns is the exception: it applies whatever else matches (see classify).
+function specificity(policy, subcommandWords) {
+  return (policy.base.includes('*') ? 0 : 100) + subcommandWords * 10 + (policy.flags.length || policy.patterns.length ? 1 : 0);
+}
+
+function matchesArgs(policy, args) {
+  if (policy.flags.some((flag) => hasFlag(args, flag))) return true;
+  return args.some((arg) => policy.patterns.some((pattern) => pattern.test(arg)));
+}
+
+function matchPolicy(policy, base, args, parsed) {
+  if (!policy.base.includes('*') && !policy.base.includes(base)) return null;
+  let subcommandWords = 0;
+  if (policy.subcommand.length) {
+    const matched = policy.subcommand.filter((words) => matchesSubcommand(parsed.words, parsed.skippable, words));
+    if (!matched.length) return null;
+    subcommandWords = Math.max(...matched.map((words) => words.length));
+  }
+  if ((policy.flags.length || policy.patterns.length) && !matchesArgs(policy, args)) return null;
+  return specificity(policy, subcommandWords);
+}
+
+function compareRanks(a, b) {
+  const index = a.findIndex((value, i) => value !== b[i]);
+  return index === -1 ? 0 : a[index] - b[index];
+}
+
+// Why a "never" verdict refused a fix, as reported by `fuzzrun explain`.
+function getReason(policy) {
+  if (policy.flags.length || policy.patterns.length) return 'risky-arg';
+  return policy.subcommand.length ? 'risky-subcommand' : 'dangerous-base';
+}
+
+// `git push --force-with-lease`: the policy in the words a user would type.
+function describePolicy(policy) {
+  const parts = [policy.base.join('|')];
+  if (policy.subcommand.length) parts.push(policy.subcommand.map((words) => words.join(' ')).join('|'));
+  if (policy.flags.length) parts.push(policy.flags.join('|'));
+  if (policy.patterns.length) parts.push(policy.patterns.map((pattern) => `/${pattern.source}/`).join('|'));
+  return parts.join(' ');
+}
+
+function isArgRule(policy) {
+  return policy.level === 'never' && Boolean(policy.flags.length || policy.patterns.length);
+}
+
+// The verdict for running `command args`: { level, policy, reason }. Nothing matching is safe.
+// A matching "never" flag rule wins over any looser policy, so `kubectl apply --force` stays
+// refused even though `kubectl apply` alone only needs a confirmation.
+function classify(command, args, policies) {
+  const base = baseName(command);
+  const parsed = getWords(base, args);
+  let best = null;
+  let veto = null;
+  for (const policy of policies) {
+    const score = matchPolicy(policy, base, args, parsed);
+    if (score === null) continue;
+    const rank = [score, policy.order, LEVELS.indexOf(policy.level)];
+    if (!best || compareRanks(rank, best.rank) > 0) best = { policy, rank };
+    if (isArgRule(policy) && (!veto || compareRanks(rank, veto.rank) > 0)) veto = { policy, rank };
+  }
+  if (!best) return { level: 'safe', policy: null, reason: null };
+  const { policy } = veto && best.policy.level !== 'never' ? veto : best;
+  return { level: policy.level, policy, reason: policy.level === 'never' ? getReason(policy) : describePolicy(policy) };
+}
+
+// Whether any of `args` is one that a "never" rule refuses under every command (`--force`, `-rf`,
+// riskyArgPatterns), whatever command it ends up in.
+function hasRiskyArgs(args, policies) {
+  return policies.some((policy) => isArgRule(policy) && policy.base.includes('*') && matchesArgs(policy, args));
+}
+
+module.exports = {
+  LEVELS,
+  DANGEROUS_BASES,
+  BUILTIN_POLICIES,
+  getPoliciesDir,
+  normalizePolicy,
+  loadPolicies,
+  describePolicy,
+  classify,
+  hasRiskyArgs
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PACKAGE_PREFIX = 'fuzzrun-rule-';
+
+// A rule module exports:
+//   name      string, defaults to the file or package name
+//   priority  number, higher runs first (built-ins: subcommand 300, workspace 250, script 200,
+//             task 200, flag 150, ref 100, kube 100, docker 100, path 50)
+//   autoRun   boolean, false means the fix is only suggested (or offered in confirm mode)
+//   match(command, args, output)  -> boolean
+//   fix(command, args, output)    -> array of argv lists, e.g. [['mycli', 'deploy', 'prod']]
+function getRulesDir() {
+  return path.join(os.homedir(), '.fuzzrun', 'rules');
+}
+
+function getPackageDirs() {
+  const dirs = [path.join(os.homedir(), '.fuzzrun', 'node_modules')];
+  // Global installs put rule packages next to this one.
+  const parent = path.resolve(__dirname, '..', '..');
+  if (path.basename(parent) === 'node_modules') dirs.push(parent);
+  for (const entry of (process.env.NODE_PATH || '').split(path.delimiter).filter(Boolean)) {
+    dirs.push(entry);
+  }
+  return [...new Set(dirs)];
+}
+
+function listRuleFiles() {
+  const files = [];
+  try {
+    for (const name of fs.readdirSync(getRulesDir()).sort()) {
+      if (name.endsWith('.js')) files.push({ name: path.basename(name, '.js'), file: path.join(getRulesDir(), name) });
+    }
+  } catch (err) {
+    // No user rules.
+  }
+  for (const dir of getPackageDirs()) {
+    try {
+      for (const name of fs.readdirSync(dir).sort()) {
+        if (name.startsWith(PACKAGE_PREFIX)) files.push({ name, file: path.join(dir, name) });
+      }
+    } catch (err) {
+      // Missing or unreadable module dir.
+    }
+  }
+  return files;
+}
+
+function normalizeRule(exported, fallbackName, source) {
+  const rule = exported && exported.default ? exported.default : exported;
+  if (!rule || typeof rule.match !== 'function' || typeof rule.fix !== 'function') {
+    throw new Error('rule must export match() and fix() functions');
+  }
+  return {
+    name: typeof rule.name === 'string' && rule.name ? rule.name : fallbackName,
+    priority: Number.isFinite(Number(rule.priority)) ? Number(rule.priority) : 0,
+    autoRun: rule.autoRun === true,
+    match: rule.match,
+    fix: rule.fix,
+    source
+  };
+}
+
+function loadRules({ onError } = {}) {
+  const rules = [];
+  for (const { name, file } of listRuleFiles()) {
+    try {
+      rules.push(normalizeRule(require(file), name, file));
+    } catch (err) {
+      if (onError) onError(file, err);
+    }
+  }
+  return rules.sort((a, b) => b.priority - a.priority);
+}
+
+// Returns the argv lists a rule proposes, dropping anything that is not a non-empty string list.
+function applyRule(rule, command, args, output) {
+  if (!rule.match(command, args, output)) return [];
+  const proposed = rule.fix(command, args, output);
+  if (!Array.isArray(proposed)) return [];
+  return proposed.filter(
+    (argv) => Array.isArray(argv) && argv.length > 0 && argv.every((item) => typeof item === 'string')
+  );
+}
+
+module.exports = {
+  loadRules,
+  applyRule,
+  getRulesDir
+};
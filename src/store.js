@@ -0,0 +1,132 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const RECORDS_MAX_BYTES = 1024 * 1024;
+
+function getDataDir() {
+  return path.join(os.homedir(), '.fuzzrun');
+}
+
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function readJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// Writes to a temp file and renames it into place, so readers never see a partial file.
+function writeJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+function acquireLock(lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockPath, 'wx'));
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') return false;
+    }
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch (err) {
+      continue;
+    }
+    if (Date.now() > deadline) return false;
+    sleep(10);
+  }
+}
+
+// Read-modify-write under a lock file shared by every shell on the machine. If the lock
+// can't be taken in time the update still happens, since losing it would be worse.
+function updateJson(filePath, update, fallback = {}) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const lockPath = `${filePath}.lock`;
+    const locked = acquireLock(lockPath);
+    try {
+      const next = update(readJson(filePath, fallback));
+      writeJson(filePath, next);
+      return next;
+    } finally {
+      if (locked) fs.rmSync(lockPath, { force: true });
+    }
+  } catch (err) {
+    // Best-effort only.
+    return null;
+  }
+}
+
+// One JSON record per line; O_APPEND keeps concurrent writers from clobbering each other.
+// Past maxBytes the oldest half is dropped, so readers never parse an unbounded file.
+function appendRecord(filePath, record, maxBytes = RECORDS_MAX_BYTES) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    if (fs.statSync(filePath).size > maxBytes) trimRecords(filePath, maxBytes / 2);
+  } catch (err) {
+    // Best-effort only.
+  }
+}
+
+// Keeps the newest whole lines that fit in keepBytes. A record appended between the read and
+// the rename is lost, which is fine for a log that is only used for ranking and stats.
+function trimRecords(filePath, keepBytes) {
+  const lockPath = `${filePath}.lock`;
+  if (!acquireLock(lockPath)) return;
+  try {
+    const raw = fs.readFileSync(filePath);
+    const tail = raw.subarray(Math.max(0, raw.length - keepBytes));
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, tail.subarray(tail.indexOf('\n') + 1));
+    fs.renameSync(tempPath, filePath);
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+function readRecords(filePath) {
+  let raw = '';
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    return [];
+  }
+  const records = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // Skip a torn or hand-edited line.
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  getDataDir,
+  sleep,
+  readJson,
+  writeJson,
+  updateJson,
+  appendRecord,
+  readRecords
+};
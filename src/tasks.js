@@ -0,0 +1,230 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const messages = require('./messages');
+
+// Task runners whose targets can be corrected like package.json scripts. Each one names the
+// files it reads (searched upwards from cwd), how to list targets from them, where the target
+// sits in argv (after one of `prefixes`, unless `locate` says otherwise) and the errors it
+// prints for an unknown one.
+const RUNNERS = [
+  {
+    bases: ['make', 'gmake'],
+    files: ['GNUmakefile', 'makefile', 'Makefile'],
+    parse: parseMakefile,
+    locate: (args) => (args.some((arg) => /^(-C|-f|--directory|--file|--makefile)/.test(arg)) ? -1 : firstPlain(args)),
+    errors: messages.getPatterns('makeTarget')
+  },
+  {
+    bases: ['just'],
+    files: ['justfile', '.justfile', 'Justfile'],
+    parse: parseJustfile,
+    locate: (args) => (args.some((arg) => /^(-f|--justfile|-d|--working-directory)/.test(arg)) ? -1 : firstPlain(args)),
+    errors: [/does not contain recipe [`'"]?([^`'"\s]+?)[`'"]?[.\s]/i]
+  },
+  {
+    bases: ['deno'],
+    prefixes: ['task'],
+    files: ['deno.json', 'deno.jsonc'],
+    parse: (text) => Object.keys(parseJsonc(text).tasks || {}),
+    errors: [/task not found:?\s+[`'"]?([^`'"\s]+)/i]
+  },
+  {
+    bases: ['composer'],
+    prefixes: ['run-script', 'run'],
+    files: ['composer.json'],
+    parse: (text) => Object.keys(JSON.parse(text).scripts || {}),
+    // Custom scripts are also top-level commands: `composer tset`.
+    locate: (args) => (['run-script', 'run'].includes(args[0]) ? afterPrefix(args, ['run-script', 'run']) : firstPlain(args.slice(0, 1))),
+    errors: [/script "?([^"\s]+)"? is not defined/i, /command "([^"]+)" is not defined/i]
+  },
+  {
+    bases: ['poetry'],
+    prefixes: ['run'],
+    files: ['pyproject.toml'],
+    parse: (text) => parseTomlKeys(text, /^tool\.poetry\.scripts$/),
+    errors: [/command not found:?\s+([^\s]+)/i]
+  },
+  {
+    bases: ['pdm'],
+    prefixes: ['run'],
+    files: ['pyproject.toml'],
+    parse: (text) => parseTomlKeys(text, /^tool\.pdm\.scripts$/),
+    errors: [/command '([^']+)' is not found/i, /script unknown:?\s+([^\s]+)/i]
+  },
+  {
+    bases: ['hatch'],
+    prefixes: ['run'],
+    files: ['hatch.toml', 'pyproject.toml'],
+    parse: (text) => parseTomlKeys(text, /^(tool\.hatch\.)?envs\.[^.]+\.scripts$/),
+    errors: [/command not found:?\s+([^\s]+)/i, /([^\s:]+): (?:command )?not found/i]
+  },
+  {
+    bases: ['task'],
+    files: ['Taskfile.yml', 'Taskfile.yaml', 'taskfile.yml', 'taskfile.yaml'],
+    parse: parseTaskfile,
+    locate: (args) => (args.some((arg) => /^(-t|--taskfile|-d|--dir)/.test(arg)) ? -1 : firstPlain(args)),
+    errors: [/task "([^"]+)" does not exist/i]
+  },
+  {
+    bases: ['cargo'],
+    files: [path.join('.cargo', 'config.toml'), path.join('.cargo', 'config')],
+    parse: (text) => parseTomlKeys(text, /^alias$/),
+    locate: (args) => firstPlain(args.slice(0, 1)),
+    errors: [/no such (?:sub)?command:?\s+[`'"]?([^`'"\s]+)/i]
+  }
+];
+
+// First argument that is neither an option nor a VAR=value assignment.
+function firstPlain(args) {
+  return args.findIndex((arg) => !arg.startsWith('-') && !arg.includes('='));
+}
+
+// `deno task <target>`, `poetry run <target>`: the target follows one of the prefix words.
+function afterPrefix(args, prefixes) {
+  if (!prefixes.includes(args[0])) return -1;
+  return args[1] && !args[1].startsWith('-') ? 1 : -1;
+}
+
+function findUp(startDir, names) {
+  let current = startDir;
+  while (current && current !== path.dirname(current)) {
+    for (const name of names) {
+      const candidate = path.join(current, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    current = path.dirname(current);
+  }
+  return null;
+}
+
+function parseMakefile(text) {
+  const names = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s/.test(line)) continue;
+    // Targets, but not `X := y`, `X ::= y` or `X = y`.
+    const match = line.match(/^([^#=:\s][^#=:]*?)\s*::?(?![=:])/);
+    if (!match) continue;
+    for (const name of match[1].split(/\s+/)) {
+      if (name && !name.startsWith('.') && !/[%$()]/.test(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+function parseJustfile(text) {
+  const names = [];
+  for (const line of text.split(/\r?\n/)) {
+    const alias = line.match(/^alias\s+([\w-]+)\s*:=/);
+    if (alias) {
+      names.push(alias[1]);
+      continue;
+    }
+    const recipe = line.match(/^@?([A-Za-z_][\w-]*)(?:\s+[^:]*)?:(?!=)/);
+    if (recipe) names.push(recipe[1]);
+  }
+  return names;
+}
+
+// deno.jsonc allows comments and trailing commas.
+function parseJsonc(text) {
+  const stripped = text
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/^\s*\/\/.*$/gm, '')
+    .replace(/,(\s*[}\]])/g, '$1');
+  return JSON.parse(stripped);
+}
+
+// Keys of the TOML tables whose name matches `tablePattern`; enough for script and alias tables.
+function parseTomlKeys(text, tablePattern) {
+  const names = [];
+  let inTable = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const header = line.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+    if (header) {
+      inTable = tablePattern.test(header[1].replace(/["']/g, ''));
+      continue;
+    }
+    if (!inTable) continue;
+    const key = line.match(/^["']?([\w.:-]+)["']?\s*=/);
+    if (key) names.push(key[1]);
+  }
+  return names;
+}
+
+// Keys one level under a top-level `section:` of a YAML file: tasks in a Taskfile,
+// services in a compose file.
+function parseYamlKeys(text, section) {
+  const names = [];
+  let inSection = false;
+  let indent = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    const lead = line.match(/^\s*/)[0].length;
+    if (lead === 0) {
+      inSection = new RegExp(`^${section}:\\s*(#.*)?$`).test(line);
+      indent = null;
+      continue;
+    }
+    if (!inSection) continue;
+    if (indent === null) indent = lead;
+    if (lead !== indent) continue;
+    const match = line.match(/^\s*["']?([\w:.-]+)["']?:/);
+    if (match) names.push(match[1]);
+  }
+  return names;
+}
+
+function parseTaskfile(text) {
+  return parseYamlKeys(text, 'tasks');
+}
+
+// The runner and argv position of the target in `make biuld`, `deno task dvev`, ...
+function findTarget(command, args) {
+  for (const runner of RUNNERS) {
+    if (!runner.bases.includes(command)) continue;
+    const position = runner.locate ? runner.locate(args) : afterPrefix(args, runner.prefixes);
+    if (position !== -1) return { runner, position };
+  }
+  return null;
+}
+
+function isMissingTarget(runner, output, target) {
+  return runner.errors.some((pattern) => {
+    const match = output.match(pattern);
+    return Boolean(match) && (!match[1] || match[1] === target);
+  });
+}
+
+function getTargets(runner, cwd) {
+  const filePath = findUp(cwd, runner.files);
+  if (!filePath) return [];
+  try {
+    return [...new Set(runner.parse(fs.readFileSync(filePath, 'utf8')))];
+  } catch (err) {
+    return [];
+  }
+}
+
+// `deno task`, `poetry run`, ...: the words that come before a target.
+function isTargetPrefix(command, token) {
+  return RUNNERS.some((runner) => runner.bases.includes(command) && (runner.prefixes || []).includes(token));
+}
+
+module.exports = {
+  RUNNERS,
+  findUp,
+  findTarget,
+  isMissingTarget,
+  getTargets,
+  isTargetPrefix,
+  parseMakefile,
+  parseJustfile,
+  parseJsonc,
+  parseTomlKeys,
+  parseYamlKeys,
+  parseTaskfile
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./store');
+
+// How deep `**` in a workspace glob looks below its prefix.
+const MAX_GLOB_DEPTH = 4;
+// Options that pick workspaces, per package manager.
+const SELECTOR_OPTIONS = {
+  npm: new Set(['-w', '--workspace']),
+  pnpm: new Set(['-F', '--filter']),
+  yarn: new Set()
+};
+// Options that run in every workspace: the scripts of all of them count.
+const ALL_WORKSPACES_OPTIONS = new Set(['-ws', '--workspaces', '-r', '--recursive']);
+// Options that point at another project; nothing is corrected then.
+const DIRECTORY_OPTIONS = new Set(['--prefix', '-C', '--dir', '--cwd']);
+// yarn and pnpm run a script given in place of a subcommand: `yarn build`.
+const BARE_SCRIPT_BASES = new Set(['yarn', 'pnpm']);
+
+// `packages:` list items in pnpm-workspace.yaml.
+function parsePnpmWorkspace(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    if (!/^\s/.test(line)) {
+      inPackages = /^packages:\s*(#.*)?$/.test(line);
+      continue;
+    }
+    const item = inPackages ? line.match(/^\s+-\s*["']?([^"'#\s]+)["']?\s*(#.*)?$/) : null;
+    if (item) patterns.push(item[1]);
+  }
+  return patterns;
+}
+
+// Workspace globs declared in dir: pnpm-workspace.yaml, else `workspaces` in package.json
+// (an array, or yarn's { packages: [...] }).
+function readPatterns(dir) {
+  try {
+    return parsePnpmWorkspace(fs.readFileSync(path.join(dir, 'pnpm-workspace.yaml'), 'utf8'));
+  } catch (err) {
+    // No pnpm workspace here.
+  }
+  const pkg = store.readJson(path.join(dir, 'package.json'), null);
+  const workspaces = pkg && pkg.workspaces;
+  if (Array.isArray(workspaces)) return workspaces;
+  if (workspaces && Array.isArray(workspaces.packages)) return workspaces.packages;
+  return null;
+}
+
+function listDirs(root, dir) {
+  try {
+    return fs
+      .readdirSync(path.join(root, dir), { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+      .map((entry) => entry.name);
+  } catch (err) {
+    return [];
+  }
+}
+
+function descendants(root, dir, depth) {
+  if (depth === 0) return [];
+  return listDirs(root, dir).flatMap((name) => {
+    const child = path.posix.join(dir, name);
+    return [child, ...descendants(root, child, depth - 1)];
+  });
+}
+
+// Directories (relative to root, with `/`) that a workspace glob matches: `*` stands for
+// one path segment or part of one, `**` for any number of segments.
+function expandPattern(root, pattern) {
+  let dirs = [''];
+  for (const segment of pattern.replace(/^\.\//, '').split('/').filter(Boolean)) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === '**') {
+        next.push(dir, ...descendants(root, dir, MAX_GLOB_DEPTH));
+      } else if (!segment.includes('*')) {
+        next.push(path.posix.join(dir, segment));
+      } else {
+        const escaped = segment.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+        const matcher = new RegExp(`^${escaped.join('[^/]*')}$`);
+        next.push(...listDirs(root, dir).filter((name) => matcher.test(name)).map((name) => path.posix.join(dir, name)));
+      }
+    }
+    dirs = next;
+  }
+  return dirs.filter((dir) => fs.existsSync(path.join(root, dir, 'package.json')));
+}
+
+// The nearest workspace root above cwd and its packages as { dir, name, scripts }, or null.
+function getWorkspaces(cwd = process.cwd()) {
+  let root = cwd;
+  let patterns = null;
+  while (root && root !== path.dirname(root)) {
+    patterns = readPatterns(root);
+    if (patterns) break;
+    root = path.dirname(root);
+  }
+  if (!patterns) return null;
+  const excluded = new Set(patterns.filter((item) => item.startsWith('!')).flatMap((item) => expandPattern(root, item.slice(1))));
+  const dirs = new Set(patterns.filter((item) => !item.startsWith('!')).flatMap((item) => expandPattern(root, item)));
+  const packages = [];
+  for (const dir of dirs) {
+    if (excluded.has(dir)) continue;
+    const pkg = store.readJson(path.join(root, dir, 'package.json'), null) || {};
+    packages.push({ dir, name: typeof pkg.name === 'string' ? pkg.name : null, scripts: Object.keys(pkg.scripts || {}) });
+  }
+  return { root, packages };
+}
+
+function isPathSelector(value) {
+  return value.startsWith('.') || (value.includes('/') && !value.startsWith('@'));
+}
+
+function shortName(name) {
+  return name.replace(/^@[^/]+\//, '');
+}
+
+// The packages a -w/--filter/`yarn workspace` value selects, or null when it names none.
+// pnpm filter expressions (globs, `...`, `{dir}`, `[ref]`, `!x`) are taken as matching
+// everything; `scopeless` lets "web" select "@acme/web", as pnpm does.
+function resolveSelector(workspaces, value, { cwd = process.cwd(), scopeless = false } = {}) {
+  if (/[*{}[\]^!]|\.\.\./.test(value.replace(/^\.\.?\//, ''))) return workspaces.packages;
+  if (isPathSelector(value)) {
+    const dir = path.relative(workspaces.root, path.resolve(cwd, value)).split(path.sep).join('/');
+    const matched = workspaces.packages.filter((item) => item.dir === dir.replace(/\/$/, ''));
+    return matched.length ? matched : null;
+  }
+  const matched = workspaces.packages.filter(
+    (item) => item.name && (item.name === value || (scopeless && shortName(item.name) === value))
+  );
+  return matched.length ? matched : null;
+}
+
+// What a mistyped selector could have meant: package directories for a path, names otherwise.
+function selectorCandidates(workspaces, value, { scopeless = false } = {}) {
+  if (!isPathSelector(value)) {
+    const names = workspaces.packages.map((item) => item.name).filter(Boolean);
+    return scopeless && !value.startsWith('@') ? [...new Set(names.map(shortName))] : names;
+  }
+  const lead = value.startsWith('./') ? './' : '';
+  const trail = value.endsWith('/') ? '/' : '';
+  return workspaces.packages.map((item) => `${lead}${item.dir}${trail}`);
+}
+
+// Where the script and the workspace selectors are in `npm run biuld -w web`,
+// `pnpm --filter web run tset`, `yarn workspace web tset` and the bare `yarn biuld`, as
+// { position, bare, selectors: [{ value, position, prefix }], all }. position is -1 when no
+// script is named; null is returned when another directory is targeted.
+function parseScriptInvocation(command, args) {
+  const selectorOptions = SELECTOR_OPTIONS[command] || new Set();
+  const selectors = [];
+  const positional = [];
+  let all = false;
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg === '--') break;
+    if (!arg.startsWith('-')) {
+      positional.push(i);
+      continue;
+    }
+    const equals = arg.indexOf('=');
+    const name = equals === -1 ? arg : arg.slice(0, equals);
+    if (DIRECTORY_OPTIONS.has(name)) return null;
+    if (ALL_WORKSPACES_OPTIONS.has(name)) all = true;
+    if (!selectorOptions.has(name)) continue;
+    if (equals !== -1) {
+      selectors.push({ value: arg.slice(equals + 1), position: i, prefix: `${name}=` });
+    } else if (i + 1 < args.length) {
+      selectors.push({ value: args[i + 1], position: i + 1, prefix: '' });
+      i += 1;
+    }
+  }
+  const word = (index) => args[positional[index]];
+  let index = 0;
+  if (command === 'yarn' && word(0) === 'workspace' && positional.length > 1) {
+    selectors.push({ value: word(1), position: positional[1], prefix: '' });
+    index = 2;
+  } else if (command === 'yarn' && word(0) === 'workspaces') {
+    all = true;
+    index = word(1) === 'foreach' ? 2 : 1;
+  }
+  const result = { position: -1, bare: false, selectors, all };
+  if (word(index) === 'run' || word(index) === 'run-script') {
+    if (index + 1 < positional.length) result.position = positional[index + 1];
+  } else if (BARE_SCRIPT_BASES.has(command) && index < positional.length) {
+    result.position = positional[index];
+    result.bare = true;
+  }
+  return result;
+}
+
+module.exports = {
+  BARE_SCRIPT_BASES,
+  parsePnpmWorkspace,
+  getWorkspaces,
+  resolveSelector,
+  selectorCandidates,
+  parseScriptInvocation
+};
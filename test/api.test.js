@@ -0,0 +1,193 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// History, the PATH index and config live under HOME; keep them out of the real one.
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'fuzzrun-api-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+const api = require('../src');
+
+const bin = path.join(home, 'bin');
+fs.mkdirSync(bin);
+const stubs = {
+  alpha: '#!/bin/sh\necho "alpha $*"\n',
+  npm: '#!/bin/sh\n[ "$1" = install ] && { echo "npm $*"; exit 0; }\necho "Unknown command: \\"$1\\"" >&2\nexit 1\n',
+  viewer: '#!/bin/sh\nif [ -f "$1" ]; then cat "$1"; else echo "viewer: $1: No such file or directory" >&2; exit 1; fi\n'
+};
+for (const [name, body] of Object.entries(stubs)) {
+  fs.writeFileSync(path.join(bin, name), body);
+  fs.chmodSync(path.join(bin, name), 0o755);
+}
+const env = { ...process.env, PATH: `${bin}${path.delimiter}/bin${path.delimiter}/usr/bin` };
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+test('requiring the API prints nothing and enables no shell hooks', () => {
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'fuzzrun-api-home-'));
+  try {
+    const result = spawnSync(process.execPath, ['-e', `console.log(Object.keys(require(${JSON.stringify(path.join(__dirname, '..'))})).join(' '))`], {
+      encoding: 'utf8',
+      env: { ...process.env, HOME: empty, USERPROFILE: empty, FUZZRUN_SKIP_ENABLE: '' }
+    });
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, 'suggest correctAndRun explain findBestMatch damerauLevenshtein\n');
+    assert.equal(result.stderr, '');
+    assert.deepEqual(fs.readdirSync(empty), []);
+  } finally {
+    fs.rmSync(empty, { recursive: true, force: true });
+  }
+});
+
+test('suggest plans a fix without running anything', { skip: process.platform === 'win32' }, () => {
+  const base = api.suggest(['alpah', 'x'], { env });
+  assert.deepEqual([base.fix.command, ...base.fix.args], ['alpha', 'x']);
+  assert.deepEqual([base.candidates[0].corrector, base.candidates[0].candidate, base.candidates[0].rejected], ['base', 'alpha', null]);
+
+  const output = "git: 'stauts' is not a git command. See 'git --help'.\n\nThe most similar command is\n\tstatus\n";
+  const sub = api.suggest(['git', 'stauts'], { env, output });
+  assert.equal(sub.fix.to, 'git status');
+  assert.ok(sub.candidates.some((item) => item.source === 'output' && item.candidate === 'status'));
+});
+
+test('a chained step never turns an alias into another subcommand', { skip: process.platform === 'win32' }, () => {
+  const plan = api.suggest(['nmp', 'i', 'lodash'], { env });
+  assert.deepEqual([plan.fix.command, ...plan.fix.args], ['npm', 'i', 'lodash']);
+  assert.equal(plan.fix.corrector, 'base');
+  const short = api.suggest(['nmp', 't'], { env });
+  assert.deepEqual([short.fix.command, ...short.fix.args], ['npm', 't']);
+});
+
+test('correctAndRun returns the outcome in the given directory instead of exiting', { skip: process.platform === 'win32' }, async () => {
+  const project = path.join(home, 'project');
+  fs.mkdirSync(project);
+  fs.writeFileSync(path.join(project, 'README.md'), 'hello\n');
+  const result = await api.correctAndRun(['viewer', 'READNE.md'], { cwd: project, env });
+  assert.equal(result.firstRun.code, 1);
+  assert.equal(result.firstRun.stderr, 'viewer: READNE.md: No such file or directory\n');
+  assert.equal(result.fix.to, 'viewer README.md');
+  assert.equal(result.corrected.stdout, 'hello\n');
+  assert.equal(result.code, 0);
+
+  const fine = await api.correctAndRun(['alpha', 'ok'], { env });
+  assert.equal(fine.fix, null);
+  assert.equal(fine.firstRun.stdout, 'alpha ok\n');
+});
+
+test('correctAndRun refuses a lookalike install that only the fix makes', { skip: process.platform === 'win32' }, async () => {
+  const blocked = await api.correctAndRun(['npm', 'instll', 'lodahs'], { env: { ...env, FUZZRUN_TYPOSQUAT_GUARD: 'block' } });
+  assert.deepEqual([blocked.fix.command, ...blocked.fix.args], ['npm', 'install', 'lodahs']);
+  assert.equal(blocked.blocked, true);
+  assert.equal(blocked.corrected, null);
+  assert.deepEqual(blocked.typosquats.map((item) => item.similarTo), ['lodash']);
+
+  const warned = await api.correctAndRun(['nmp', 'install', 'lodahs'], { env });
+  assert.equal(warned.blocked, false);
+  assert.equal(warned.corrected.stdout, 'npm install lodahs\n');
+  assert.deepEqual(warned.typosquats.map((item) => item.name), ['lodahs']);
+});
+
+test('lookups run with the context env and leave process signal handlers alone', { skip: process.platform === 'win32' }, async () => {
+  // kubectl is only on the context's PATH, and answers only to the context's env.
+  const own = path.join(home, 'context-bin');
+  fs.mkdirSync(own);
+  fs.writeFileSync(
+    path.join(own, 'kubectl'),
+    [
+      '#!/bin/sh',
+      '[ "$KUBE_STUB" = "$LC_ALL" ] || exit 1',
+      'printf "NAME SHORTNAMES APIVERSION NAMESPACED KIND\\npods po v1 true Pod\\n"',
+      ''
+    ].join('\n')
+  );
+  fs.chmodSync(path.join(own, 'kubectl'), 0o755);
+  const output = 'error: the server doesn\'t have a resource type "pdos"\n';
+  const context = { ...env, PATH: `${own}${path.delimiter}${env.PATH}`, KUBE_STUB: 'C' };
+  const plan = api.suggest(['kubectl', 'get', 'pdos'], { env: context, output });
+  assert.equal(plan.fix.to, 'kubectl pods');
+  // forceCLocale is read from each call's own env, not cached from the first.
+  const local = { ...context, KUBE_STUB: '', FUZZRUN_FORCE_C_LOCALE: '0' };
+  const unforced = api.suggest(['kubectl', '--context=other', 'get', 'pdos'], { env: local, output });
+  assert.equal(unforced.fix.to, 'kubectl pods');
+
+  const listeners = () => ['SIGINT', 'SIGTERM', 'SIGHUP'].map((signal) => process.listenerCount(signal));
+  const before = listeners();
+  const pending = api.correctAndRun(['sh', '-c', 'sleep 0.2'], { env });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(listeners(), before);
+  assert.equal((await pending).code, 0);
+});
+
+test('suggest never plans a risky option, even under a command that only needs a confirmation', { skip: process.platform === 'win32' }, () => {
+  const own = path.join(home, 'risky-bin');
+  fs.mkdirSync(own);
+  fs.writeFileSync(path.join(own, 'kubectl'), '#!/bin/sh\nprintf "Basic Commands:\\n  apply  Apply a configuration\\nOptions:\\n    --force=false: Delete and re-create\\n    --dry-run=none: Only print\\n"\n');
+  fs.chmodSync(path.join(own, 'kubectl'), 0o755);
+  const context = { ...env, PATH: `${own}${path.delimiter}${env.PATH}` };
+  const risky = api.suggest(['kubectl', 'apply', '-f', 'x.yaml', '--forse'], { env: context, output: 'error: unknown flag: --forse\n' });
+  assert.equal(risky.fix, null);
+  assert.ok(risky.candidates.some((item) => item.candidate === '--force' && item.rejected === 'risky-arg'));
+  const fine = api.suggest(['kubectl', 'apply', '-f', 'x.yaml', '--dyr-run'], { env: context, output: 'error: unknown flag: --dyr-run\n' });
+  assert.equal(fine.fix.to, 'kubectl apply --dry-run');
+  assert.equal(fine.fix.confirm, 'kubectl apply|create|replace|patch|scale|rollout');
+});
+
+test('explain reads a captured output instead of running the command', { skip: process.platform === 'win32' }, async () => {
+  const report = await api.explain(['viewer', 'READNE.md'], { env, output: 'viewer: READNE.md: No such file or directory\n' });
+  assert.equal(report.executed, false);
+  assert.equal(report.firstRun.code, 1);
+  const ran = await api.explain(['alpha', 'ok'], { env });
+  assert.equal(ran.executed, true);
+  assert.equal(ran.firstRun.output, 'alpha ok');
+});
+
+test('returns policy and rule problems as warnings instead of printing them', { skip: process.platform === 'win32' }, async () => {
+  const policiesDir = path.join(home, '.fuzzrun', 'policies');
+  const rulesDir = path.join(home, '.fuzzrun', 'rules');
+  fs.mkdirSync(policiesDir, { recursive: true });
+  fs.mkdirSync(rulesDir, { recursive: true });
+  fs.writeFileSync(path.join(policiesDir, 'broken.json'), '{ not json');
+  fs.writeFileSync(path.join(rulesDir, 'empty.js'), 'module.exports = {};\n');
+  fs.writeFileSync(
+    path.join(rulesDir, 'throws.js'),
+    "module.exports = { match: () => { throw new Error('boom'); }, fix: () => [] };\n"
+  );
+  const write = process.stderr.write;
+  const printed = [];
+  process.stderr.write = (chunk, ...rest) => {
+    printed.push(String(chunk));
+    return true;
+  };
+  let result;
+  let plan;
+  try {
+    result = await api.correctAndRun(['viewer', 'missing.txt'], { env });
+    plan = api.suggest(['alpah'], { env });
+  } finally {
+    process.stderr.write = write;
+    fs.rmSync(policiesDir, { recursive: true, force: true });
+    fs.rmSync(rulesDir, { recursive: true, force: true });
+  }
+  assert.deepEqual(printed, []);
+  assert.equal(result.code, 1);
+  assert.ok(result.warnings.some((message) => message.startsWith(`skipping policy ${path.join(policiesDir, 'broken.json')}:`)));
+  assert.ok(result.warnings.some((message) => message.startsWith(`skipping rule ${path.join(rulesDir, 'empty.js')}:`)));
+  assert.ok(result.warnings.includes('rule throws failed: boom'));
+  assert.ok(plan.warnings.some((message) => message.startsWith('skipping policy ')));
+});
+
+test('exports the matching utilities', () => {
+  assert.equal(api.damerauLevenshtein('stauts', 'status'), 1);
+  assert.deepEqual(api.findBestMatch(['status', 'stash'], 'stauts'), { match: 'status', distance: 1 });
+  assert.equal(api.findBestMatch(['alpha', 'alphb'], 'alphc'), null);
+  // Neighboring keys only rank candidates; two of them are still two edits.
+  assert.equal(api.findBestMatch(['cd'], 'xf'), null);
+  assert.equal(api.findBestMatch(['cat'], 'vst'), null);
+  assert.equal(api.findBestMatch(['git'], 'hiy'), null);
+  assert.deepEqual(api.findBestMatch(['gat', 'git'], 'gut'), { match: 'git', distance: 1 });
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isAdjacent, substitutionCost, transliterate, getConfidence } = require('../src/keyboard');
+
+test('knows neighboring keys per layout', () => {
+  assert.equal(isAdjacent('u', 'i'), true);
+  assert.equal(isAdjacent('g', 'y'), true);
+  assert.equal(isAdjacent('g', 'r'), false);
+  assert.equal(isAdjacent('a', 'z'), true);
+  assert.equal(isAdjacent('a', 'z', 'azerty'), true);
+  assert.equal(isAdjacent('a', 'q', 'azerty'), true);
+  assert.equal(isAdjacent('a', 'o', 'dvorak'), true);
+  assert.equal(isAdjacent('z', 'x', 'qwertz'), false);
+  const cost = substitutionCost('qwerty');
+  assert.equal(cost('u', 'i'), 0.5);
+  assert.equal(cost('u', 'a'), 1);
+  assert.equal(cost('u', 'u'), 0);
+});
+
+test('reads text typed with the wrong input source as the keys pressed', () => {
+  assert.equal(transliterate('пше'), 'git');
+  assert.equal(transliterate('ыефегы'), 'status');
+  assert.equal(transliterate('пше', 'azerty'), 'git');
+  assert.equal(transliterate('γιτ'), 'git');
+  assert.equal(transliterate('git'), 'git');
+});
+
+test('scores confidence against the longer word', () => {
+  assert.equal(getConfidence(0, 'git', 'git'), 1);
+  assert.equal(getConfidence(0.5, 'git', 'gut'), 0.83);
+  assert.equal(getConfidence(1, 'ls', 'sl'), 0.5);
+});
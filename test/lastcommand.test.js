@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseHistory, getLastCommand } = require('../src/lastcommand');
+
+test('reads bash, zsh and fish history files', () => {
+  assert.deepEqual(parseHistory('bash', '#1700000000\nls\n#1700000001\nmake biuld\n'), ['ls', 'make biuld']);
+  assert.deepEqual(parseHistory('zsh', ': 1700000000:0;ls\n: 1700000001:2;echo a \\\nb\nhelm lst\n'), [
+    'ls',
+    'echo a \nb',
+    'helm lst'
+  ]);
+  assert.deepEqual(parseHistory('fish', '- cmd: ls\n  when: 1700000000\n- cmd: echo a\\nb \\\\x\n  when: 1700000001\n'), [
+    'ls',
+    'echo a\nb \\x'
+  ]);
+});
+
+test('prefers the hook variables and falls back to the login shell history', () => {
+  assert.deepEqual(getLastCommand({ FUZZRUN_LAST_COMMAND: ' helm lst ', FUZZRUN_LAST_STATUS: '1' }), {
+    line: 'helm lst',
+    status: 1,
+    source: 'hook'
+  });
+  assert.equal(getLastCommand({ FUZZRUN_LAST_COMMAND: 'helm lst' }).status, null);
+  assert.equal(getLastCommand({ FUZZRUN_LAST_COMMAND: 'helm lst', FUZZRUN_LAST_STATUS: '' }).status, null);
+  assert.equal(getLastCommand({ FUZZRUN_LAST_COMMAND: 'helm lst', FUZZRUN_LAST_STATUS: '-1' }).status, null);
+  assert.equal(getLastCommand({ FUZZRUN_LAST_COMMAND: 'helm lst', FUZZRUN_LAST_STATUS: '0' }).status, 0);
+
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'fuzzrun-last-'));
+  const originalHome = process.env.HOME;
+  process.env.HOME = home;
+  try {
+    assert.equal(getLastCommand({ SHELL: '/bin/zsh', ZDOTDIR: home }), null);
+    fs.writeFileSync(path.join(home, '.zsh_history'), ': 1700000000:0;helm lst\n: 1700000001:0;fuzzrun last\n');
+    assert.deepEqual(getLastCommand({ SHELL: '/bin/zsh', ZDOTDIR: home }), {
+      line: 'helm lst',
+      status: null,
+      source: path.join(home, '.zsh_history')
+    });
+    assert.equal(getLastCommand({ SHELL: '/bin/tcsh' }), null);
+  } finally {
+    process.env.HOME = originalHome;
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+});
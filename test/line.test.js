@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const { parseLine, rewriteLine, parseCommandLine } = require('../src/line');
+
+const values = (words) => words.map((word) => word.value);
+
+test('reads the words of the first simple command', () => {
+  assert.deepEqual(values(parseLine('  git commit -m "fix it" --amend')), ['git', 'commit', '-m', 'fix it', '--amend']);
+  assert.deepEqual(values(parseLine("gti stauts | less; ls")), ['gti', 'stauts']);
+  assert.deepEqual(values(parseLine('echo a\\ b > out.txt')), ['echo', 'a b']);
+  assert.deepEqual(values(parseLine('npm run build # comment')), ['npm', 'run', 'build']);
+  assert.equal(parseLine('   '), null);
+  assert.equal(parseLine('echo "unclosed'), null);
+  assert.equal(parseLine('echo "$HOME"'), null);
+});
+
+test('marks quoted, escaped and expanded words as not plain', () => {
+  const words = parseLine('git "stauts" ~/x $HOME plain');
+  assert.deepEqual(
+    words.map((word) => word.plain),
+    [true, false, false, false, true]
+  );
+  assert.deepEqual(words[0], { value: 'git', start: 0, end: 3, plain: true, expands: false });
+});
+
+test('rewrites only the replaced words and keeps the rest as typed', () => {
+  const buffer = '  gti stauts  -m "a  b" | less';
+  const words = parseLine(buffer);
+  assert.equal(rewriteLine(buffer, words, ['git', 'status']), '  git status  -m "a  b" | less');
+  assert.equal(rewriteLine(buffer, words, [undefined, 'status']), '  gti status  -m "a  b" | less');
+  assert.equal(rewriteLine(buffer, words, []), buffer);
+});
+
+test('reads a whole command line as one argv, or not at all', () => {
+  assert.deepEqual(parseCommandLine("terraform paln -var 'a=b c' # retry"), ['terraform', 'paln', '-var', 'a=b c']);
+  assert.deepEqual(parseCommandLine('git log HEAD~1'), ['git', 'log', 'HEAD~1']);
+  assert.deepEqual(parseCommandLine('cat ~/READNE.md'), ['cat', path.join(os.homedir(), 'READNE.md')]);
+  assert.equal(parseCommandLine('make biuld && make test'), null);
+  assert.equal(parseCommandLine('helm lst > out.txt'), null);
+  assert.equal(parseCommandLine('rm $TARGET'), null);
+  assert.equal(parseCommandLine('ls ~root'), null);
+});
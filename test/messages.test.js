@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CATALOG, LANGUAGES, matchMessage, hasMessage } = require('../src/messages');
+
+// Output as each tool prints it in that locale, and what should be read from it.
+const FIXTURES = {
+  en: [
+    ['suggestion', "git: 'stauts' is not a git command. See 'git --help'.\n\nThe most similar command is\n\tstatus\n", 'status'],
+    ['gitRef', "error: pathspec 'mian' did not match any file(s) known to git", 'mian'],
+    ['gitRemote', "fatal: 'orgin' does not appear to be a git repository", 'orgin'],
+    ['pathError', 'cat: READNE.md: No such file or directory', undefined],
+    ['flagError', "error: unknown option `ammend'", 'ammend'],
+    ['makeTarget', "make: *** No rule to make target 'biuld'.  Stop.", 'biuld'],
+    ['scriptError', 'npm error Missing script: "biuld"', undefined]
+  ],
+  de: [
+    ['suggestion', "git: 'stauts' ist kein Git-Befehl. Siehe 'git --help'.\n\nDer ähnlichste Befehl ist\n\tstatus\n", 'status'],
+    ['suggestion', "git: 'sta' ist kein Git-Befehl. Siehe 'git --help'.\n\nDie ähnlichsten Befehle sind\n\tstash\n\tstatus\n", 'stash'],
+    ['gitRef', "Fehler: Pfadspezifikation 'mian' stimmt mit keinen git-bekannten Dateien überein", 'mian'],
+    ['gitRemote', "fatal: 'orgin' scheint kein Git-Repository zu sein", 'orgin'],
+    ['pathError', 'cat: READNE.md: Datei oder Verzeichnis nicht gefunden', undefined],
+    ['flagError', "Fehler: unbekannte Option `ammend'", 'ammend'],
+    ['makeTarget', 'make: *** Keine Regel vorhanden, um das Ziel „biuld“ zu erstellen.  Schluss.', 'biuld']
+  ],
+  fr: [
+    ['suggestion', "git : 'stauts' n'est pas une commande git. Voir 'git --help'.\n\nLa commande la plus ressemblante est\n\tstatus\n", 'status'],
+    ['gitRef', "erreur : le spécificateur de chemin 'mian' ne correspond à aucun fichier connu de git", 'mian'],
+    ['gitRemote', "fatal : 'orgin' ne semble pas être un dépôt git", 'orgin'],
+    ['pathError', 'cat: READNE.md: Aucun fichier ou dossier de ce nom', undefined],
+    ['flagError', 'erreur : option inconnue « ammend »', 'ammend'],
+    ['makeTarget', 'make: *** Aucune règle pour fabriquer la cible « biuld ». Arrêt.', 'biuld']
+  ],
+  es: [
+    ['suggestion', "git: 'stauts' no es un comando de git. Mira 'git --help'.\n\nEl comando más similar es\n\tstatus\n", 'status'],
+    ['gitRef', "error: pathspec 'mian' no concordó con ningún archivo conocido por git", 'mian'],
+    ['gitRemote', "fatal: 'orgin' no parece ser un repositorio git", 'orgin'],
+    ['pathError', 'cat: READNE.md: No existe el archivo o el directorio', undefined],
+    ['flagError', "error: opción desconocida `ammend'", 'ammend'],
+    ['makeTarget', 'make: *** No hay ninguna regla para construir el objetivo «biuld». Alto.', 'biuld']
+  ]
+};
+
+test('has fixtures for every language in the catalog', () => {
+  assert.deepEqual(Object.keys(FIXTURES), LANGUAGES);
+  for (const kind of Object.keys(CATALOG)) {
+    assert.ok(FIXTURES.en.some(([fixtureKind]) => fixtureKind === kind), kind);
+  }
+});
+
+for (const [language, cases] of Object.entries(FIXTURES)) {
+  test(`reads ${language} error messages`, () => {
+    for (const [kind, text, expected] of cases) {
+      const match = matchMessage(kind, text);
+      assert.ok(match, `${kind}: ${text}`);
+      assert.equal(match[1], expected, `${kind}: ${text}`);
+    }
+  });
+}
+
+test('does not mistake unrelated output for an error', () => {
+  assert.equal(hasMessage('pathError', 'Sur la branche main\nrien à valider'), false);
+  assert.equal(hasMessage('gitRef', 'Auf Branch main\nnichts zu committen'), false);
+  assert.equal(matchMessage('suggestion', ''), null);
+});
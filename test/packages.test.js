@@ -0,0 +1,29 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findPackages } = require('../src/packages');
+
+const names = (found) => (found ? found.packages.map((item) => item.name) : null);
+
+test('finds the registry names an install command asks for', () => {
+  assert.deepEqual(names(findPackages('npm', ['install', '-D', 'lodash@4', '@types/node@20', './local', 'user/repo'])), [
+    'lodash',
+    '@types/node'
+  ]);
+  assert.deepEqual(names(findPackages('yarn', ['global', 'add', 'typescript'])), ['typescript']);
+  assert.deepEqual(names(findPackages('pnpm', ['add', '--filter', 'web', 'vite'])), ['vite']);
+  assert.deepEqual(
+    names(findPackages('pip', ['install', '-r', 'requirements.txt', 'Requests[socks]>=2.0', 'typing_extensions'])),
+    ['requests', 'typing-extensions']
+  );
+  assert.deepEqual(names(findPackages('python3', ['-m', 'pip', 'install', 'numpy'])), ['numpy']);
+  assert.equal(findPackages('npm', ['run', 'build']), null);
+  assert.equal(findPackages('pip', ['install', '-e', '.']), null);
+});
+
+test('npx installs its first positional or the -p packages', () => {
+  assert.deepEqual(names(findPackages('npx', ['-y', 'create-vite@latest', 'my-app'])), ['create-vite']);
+  assert.deepEqual(names(findPackages('npx', ['-p', 'typescript', 'tsc', '--init'])), ['typescript']);
+  assert.deepEqual(findPackages('npx', ['--package=cowsay', 'cowsay', 'hi']).packages, [{ name: 'cowsay', position: 0 }]);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BUILTIN_POLICIES, normalizePolicy, classify } = require('../src/policy');
+
+const builtins = BUILTIN_POLICIES.map((entry) => normalizePolicy(entry, 'built-in', 0));
+const levelOf = (argv, policies = builtins) => classify(argv[0], argv.slice(1), policies).level;
+
+test('classifies commands by base, subcommand and flags', () => {
+  assert.equal(levelOf(['docker', 'logs', '-f', 'api']), 'safe');
+  assert.equal(levelOf(['tail', '-f', 'app.log']), 'safe');
+  assert.equal(levelOf(['git', 'push', 'origin', 'main']), 'safe');
+  assert.equal(levelOf(['git', 'push', '--force-with-lease', 'origin']), 'confirm');
+  assert.equal(levelOf(['git', 'push', '--force', 'origin']), 'never');
+  assert.equal(levelOf(['git', 'clean', '-fdx']), 'never');
+  assert.equal(levelOf(['git', 'checkout', '-qf', 'main']), 'never');
+  assert.equal(levelOf(['kubectl', '-n', 'prod', 'delete', 'pod', 'api']), 'never');
+  assert.equal(levelOf(['kubectl', 'get', 'pods', 'delete']), 'safe');
+  assert.equal(levelOf(['docker', 'system', 'prune']), 'never');
+  assert.equal(levelOf(['npm', 'unpublish', 'left-pad']), 'never');
+  assert.equal(levelOf(['/usr/bin/rm', 'file']), 'never');
+  assert.equal(levelOf(['npm', 'install', '--force']), 'never');
+  assert.equal(levelOf(['unlink', 'README.md']), 'never');
+  assert.equal(levelOf(['shred', '-u', 'key.pem']), 'never');
+  assert.equal(levelOf(['sed', '-i.bak', 's/1/2/', 'config.yml']), 'confirm');
+  assert.equal(levelOf(['perl', '-pi', '-e', 's/1/2/', 'config.yml']), 'confirm');
+  assert.equal(levelOf(['sed', '-n', '1p', 'config.yml']), 'safe');
+  assert.equal(levelOf(['find', 'build', '-name', '*.o', '-delete']), 'never');
+  assert.equal(levelOf(['find', '.', '-execdir', 'rm', '{}', ';']), 'never');
+  assert.equal(levelOf(['find', 'build', '-name', '*.o']), 'safe');
+  assert.equal(levelOf(['rsync', '-a', '--remove-source-files', 'src/', 'dst/']), 'never');
+  assert.equal(levelOf(['tar', '-czf', 'out.tgz', '--remove-files', 'logs']), 'never');
+});
+
+test('never lets a looser policy outrank a refused flag or refspec', () => {
+  assert.equal(levelOf(['kubectl', 'apply', '-f', 'x.yaml', '--force']), 'never');
+  assert.equal(levelOf(['kubectl', 'replace', '--force', '-f', 'x.yaml']), 'never');
+  assert.equal(levelOf(['npm', 'publish', '--force']), 'never');
+  assert.equal(levelOf(['terraform', 'apply', '--force']), 'never');
+  assert.equal(levelOf(['kubectl', 'apply', '-f', 'x.yaml']), 'confirm');
+  assert.equal(levelOf(['git', 'branch', '-f', 'main', 'HEAD~3']), 'never');
+  assert.equal(levelOf(['git', 'branch', '--force', 'main']), 'never');
+  assert.equal(levelOf(['git', 'branch', '-D', 'topic']), 'never');
+  assert.equal(levelOf(['git', 'branch', 'topic']), 'safe');
+  assert.equal(levelOf(['git', 'push', 'origin', '+main']), 'never');
+  assert.equal(levelOf(['git', 'push', 'origin', ':main']), 'never');
+  assert.equal(levelOf(['git', 'push', 'origin', 'main:release']), 'safe');
+  // A user's looser policy cannot lift the flag rule either.
+  const relaxed = [...builtins, normalizePolicy({ base: 'npm', subcommand: 'publish', level: 'safe' }, 'user.json', 1)];
+  assert.equal(levelOf(['npm', 'publish', '--force'], relaxed), 'never');
+  assert.equal(levelOf(['npm', 'publish'], relaxed), 'safe');
+});
+
+test('finds the subcommand after any number of global options and their values', () => {
+  assert.equal(levelOf(['kubectl', '--context', 'prod', '-n', 'kube-system', 'delete', 'pod', 'x']), 'never');
+  assert.equal(levelOf(['kubectl', '--context', 'prod', '-n', 'kube-system', 'get', 'pod', 'x']), 'safe');
+  assert.equal(levelOf(['git', '-C', 'repo', '-c', 'k=v', 'push', 'origin', '+main']), 'never');
+  assert.equal(levelOf(['git', '-c', 'a=b', '-C', 'repo', 'clean', '-fdx']), 'never');
+  assert.equal(levelOf(['git', '-c', 'a=b', '-C', 'repo', 'status']), 'safe');
+  assert.equal(levelOf(['docker', '--context', 'c', '-H', 'h', 'system', 'prune', '-a']), 'never');
+  assert.equal(levelOf(['docker', 'compose', '-f', 'dev.yml', '-p', 'app', 'down', '--volumes']), 'never');
+  assert.equal(levelOf(['helm', '--kube-context', 'prod', '-n', 'web', 'uninstall', 'api']), 'never');
+  // An unknown option's value may still precede the verb.
+  assert.equal(levelOf(['terraform', '--opt', 'value', 'destroy']), 'never');
+});
+
+test('reports why a fix is refused', () => {
+  assert.equal(classify('rm', ['file'], builtins).reason, 'dangerous-base');
+  assert.equal(classify('docker', ['run', '--force'], builtins).reason, 'risky-arg');
+  assert.equal(classify('kubectl', ['drain', 'node-1'], builtins).reason, 'risky-subcommand');
+  assert.equal(classify('git', ['push', '--force-with-lease'], builtins).reason, 'git push --force-with-lease|--force-if-includes');
+});
+
+test('user policies override built-ins of the same specificity', () => {
+  const policies = [
+    ...builtins,
+    normalizePolicy({ base: 'git', subcommand: 'push', flags: '--force-with-lease', level: 'safe' }, 'user.json', 1),
+    normalizePolicy({ base: '*', patterns: ['^--yes$'], level: 'never' }, 'config', 2)
+  ];
+  assert.equal(levelOf(['git', 'push', '--force-with-lease'], policies), 'safe');
+  assert.equal(levelOf(['terraform', 'plan', '--yes'], policies), 'never');
+  assert.throws(() => normalizePolicy({ base: 'git', level: 'maybe' }, 'user.json', 1), /"level" must be one of/);
+  assert.throws(() => normalizePolicy({ level: 'never' }, 'user.json', 1), /"base" is required/);
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findTarget, isMissingTarget, parseMakefile, parseJustfile, parseJsonc, parseTomlKeys, parseTaskfile } = require('../src/tasks');
+
+test('lists targets from each task-runner format', () => {
+  assert.deepEqual(
+    parseMakefile('CC := gcc\nX ::= y\n.PHONY: build test\nbuild test: deps\n\tcc -o x\n%.o: %.c\nlint:\n'),
+    ['build', 'test', 'lint']
+  );
+  assert.deepEqual(
+    parseJustfile('set shell := ["bash", "-c"]\nversion := "1"\nalias b := build\n[private]\nbuild:\n  cargo build\ndeploy env="prod": build\n'),
+    ['b', 'build', 'deploy']
+  );
+  assert.deepEqual(Object.keys(parseJsonc('{\n  // dev server\n  "tasks": { "dev": "deno run main.ts", },\n}').tasks), ['dev']);
+  const pyproject = [
+    '[tool.poetry.scripts]',
+    'serve = "app:main"',
+    '[tool.pdm.scripts]',
+    'lint = "ruff ."',
+    '[tool.hatch.envs.default.scripts]',
+    '"type-check" = "mypy ."',
+    '[[tool.other]]',
+    'nope = 1'
+  ].join('\n');
+  assert.deepEqual(parseTomlKeys(pyproject, /^tool\.poetry\.scripts$/), ['serve']);
+  assert.deepEqual(parseTomlKeys(pyproject, /^tool\.pdm\.scripts$/), ['lint']);
+  assert.deepEqual(parseTomlKeys(pyproject, /^(tool\.hatch\.)?envs\.[^.]+\.scripts$/), ['type-check']);
+  assert.deepEqual(
+    parseTaskfile("version: '3'\ntasks:\n  build:\n    cmds:\n      - go build\n  test: go test ./...\nvars:\n  X: 1\n"),
+    ['build', 'test']
+  );
+});
+
+test('locates the target and recognizes missing-target errors', () => {
+  assert.equal(findTarget('make', ['-j4', 'CC=clang', 'biuld']).position, 2);
+  assert.equal(findTarget('make', ['-C', 'sub', 'biuld']), null);
+  assert.equal(findTarget('deno', ['task', 'dvev']).position, 1);
+  assert.equal(findTarget('deno', ['run', 'main.ts']), null);
+  assert.equal(findTarget('composer', ['tset']).position, 0);
+  const make = findTarget('make', ['biuld']).runner;
+  assert.equal(isMissingTarget(make, "make: *** No rule to make target 'biuld'.  Stop.", 'biuld'), true);
+  assert.equal(isMissingTarget(make, "make: *** No rule to make target 'lib.o', needed by 'app'.  Stop.", 'biuld'), false);
+  const just = findTarget('just', ['tset']).runner;
+  assert.equal(isMissingTarget(just, 'error: Justfile does not contain recipe `tset`.', 'tset'), true);
+});
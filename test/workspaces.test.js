@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parsePnpmWorkspace, getWorkspaces, resolveSelector, parseScriptInvocation } = require('../src/workspaces');
+
+test('reads workspace globs from pnpm-workspace.yaml and package.json', () => {
+  assert.deepEqual(parsePnpmWorkspace("packages:\n  - 'apps/*'\n  - \"packages/**\" # all\n  - '!**/test/**'\ncatalog:\n  - x\n"), [
+    'apps/*',
+    'packages/**',
+    '!**/test/**'
+  ]);
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'fuzzrun-ws-'));
+  try {
+    for (const dir of ['apps/site', 'packages/ui', 'packages/legacy']) {
+      fs.mkdirSync(path.join(root, dir), { recursive: true });
+      fs.writeFileSync(path.join(root, dir, 'package.json'), JSON.stringify({ name: `@acme/${path.basename(dir)}` }));
+    }
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ workspaces: { packages: ['apps/*', 'packages/*', '!packages/legacy'] } }));
+    const found = getWorkspaces(path.join(root, 'apps', 'site'));
+    assert.equal(found.root, root);
+    assert.deepEqual(found.packages.map((item) => item.dir).sort(), ['apps/site', 'packages/ui']);
+    assert.equal(resolveSelector(found, 'ui'), null);
+    assert.equal(resolveSelector(found, 'ui', { scopeless: true })[0].dir, 'packages/ui');
+    assert.equal(resolveSelector(found, './packages/ui', { cwd: root })[0].name, '@acme/ui');
+    assert.equal(resolveSelector(found, '@acme/*').length, 2);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('locates the script and workspace selectors in each package manager', () => {
+  assert.deepEqual(parseScriptInvocation('npm', ['run', 'biuld', '-w', 'packages/web']), {
+    position: 1,
+    bare: false,
+    selectors: [{ value: 'packages/web', position: 3, prefix: '' }],
+    all: false
+  });
+  assert.equal(parseScriptInvocation('pnpm', ['--filter=web', 'tset']).position, 1);
+  assert.equal(parseScriptInvocation('pnpm', ['--filter=web', 'tset']).selectors[0].prefix, '--filter=');
+  assert.equal(parseScriptInvocation('yarn', ['workspace', 'web', 'tset']).selectors[0].position, 1);
+  assert.equal(parseScriptInvocation('yarn', ['workspaces', 'foreach', 'run', 'build']).all, true);
+  assert.equal(parseScriptInvocation('npm', ['biuld']).position, -1);
+  assert.equal(parseScriptInvocation('npm', ['--prefix', 'other', 'run', 'build']), null);
+});